@@ -0,0 +1,208 @@
+'use strict';
+
+// Load modules
+const Fs         = require('fs');
+const Path       = require('path');
+const Util       = require('util');
+const Connection = require('./index');
+
+// Declare internals
+const internals = {
+    readFile: Util.promisify(Fs.readFile)
+};
+
+internals.usage = `Usage: catbox-disk <command> [arguments] --path <cachePath> [--partition <name>]
+
+Commands:
+  get <segment> <id>    print an entry
+  drop <segment> <id>   remove an entry
+  ls <segment>          list the ids of a segment's unexpired entries
+  stats [segment]       summarize the whole cache, or one segment
+  clean [--dry-run]     remove expired and leftover files, or only report what would go
+  verify                report expired and corrupt files
+  purge <segment>       remove every entry of a segment
+
+The path can also be given in CATBOX_DISK_PATH.`;
+
+internals.commands = {
+    get: { args: 2, readOnly: true },
+    drop: { args: 2, readOnly: false },
+    ls: { args: 1, readOnly: true },
+    stats: { args: 0, optional: 1, readOnly: true },
+    clean: { args: 0, readOnly: false },
+    verify: { args: 0, readOnly: true },
+    purge: { args: 1, readOnly: false }
+};
+
+
+internals.parse = (argv, env) => {
+
+    const parsed = { args: [], path: env.CATBOX_DISK_PATH, partition: undefined, dryRun: false, help: false };
+    for (let i = 0; i < argv.length; ++i) {
+        const arg = argv[i];
+        if (arg === '--path' || arg === '--partition') {
+            parsed[arg.slice(2)] = argv[++i];
+        } else if (arg === '--dry-run') {
+            parsed.dryRun = true;
+        } else if (arg === '--help' || arg === '-h') {
+            parsed.help = true;
+        } else if (arg.indexOf('--') === 0) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            parsed.args.push(arg);
+        }
+    }
+
+    parsed.command = parsed.args.shift();
+    return parsed;
+};
+
+
+// The hash and fan-out come from the cache's own descriptor, so no settings need to be repeated
+
+internals.layout = async (rootPath) => {
+
+    try {
+        const descriptor = JSON.parse(await internals.readFile(Path.join(rootPath, '_layout.json'), 'utf8'));
+        return { hash: descriptor.hash, fanoutDepth: descriptor.fanoutDepth, fanoutWidth: descriptor.fanoutWidth };
+    } catch (e) {
+        return {};
+    }
+};
+
+
+internals.connect = async (parsed, readOnly) => {
+
+    const rootPath = parsed.partition ? Path.join(parsed.path, parsed.partition) : parsed.path;
+    const settings = Object.assign({ cachePath: parsed.path, partition: parsed.partition, cleanEvery: 0, readOnly }, await internals.layout(rootPath));
+
+    const disk = new Connection(settings);
+    await disk.start();
+    return disk;
+};
+
+
+internals.stats = async (disk) => {
+
+    const stats = { entries: 0, expired: 0, corrupt: 0, bytes: 0, segments: {} };
+    await disk.inspect((entry) => {
+
+        stats.bytes += entry.size;
+        if (entry.status === 'corrupt') {
+            ++stats.corrupt;
+            return;
+        }
+
+        const segment = stats.segments[entry.key.segment] = stats.segments[entry.key.segment] || { entries: 0, expired: 0, bytes: 0 };
+        ++stats.entries;
+        ++segment.entries;
+        segment.bytes += entry.size;
+        if (entry.status === 'expired') {
+            ++stats.expired;
+            ++segment.expired;
+        }
+    });
+
+    return stats;
+};
+
+
+internals.run = async (parsed, write, writeError) => {
+
+    const command = internals.commands[parsed.command];
+    const disk    = await internals.connect(parsed, command.readOnly || (parsed.command === 'clean' && parsed.dryRun));
+    const [segment, id] = parsed.args;
+
+    try {
+        switch (parsed.command) {
+            case 'get': {
+                const result = await disk.get({ segment, id });
+                if (!result) {
+                    writeError(`Not found: ${segment} ${id}`);
+                    return 1;
+                }
+
+                write(JSON.stringify({ key: result.key, stored: result.stored, ttl: result.ttl, item: result.item, file: disk.getStoragePathForKey({ segment, id }) }, null, 2));
+                return 0;
+            }
+
+            case 'drop':
+                await disk.drop({ segment, id });
+                return 0;
+
+            case 'ls': {
+                const keys = disk.listKeys(segment);
+                for (let result = await keys.next(); !result.done; result = await keys.next()) {
+                    write(result.value);
+                }
+
+                return 0;
+            }
+
+            case 'stats':
+                write(JSON.stringify(segment ? await disk.segmentStats(segment) : await internals.stats(disk), null, 2));
+                return 0;
+
+            case 'clean':
+                write(JSON.stringify(await disk.clean({ dryRun: parsed.dryRun, full: true }), null, 2));
+                return 0;
+
+            case 'verify': {
+                const counts = { valid: 0, expired: 0, corrupt: 0 };
+                await disk.inspect((entry) => {
+
+                    ++counts[entry.status];
+                    if (entry.status === 'expired') {
+                        write(`expired ${entry.filepath} (${entry.key.segment} ${entry.key.id}, ${new Date(entry.expires).toISOString()})`);
+                    } else if (entry.status === 'corrupt') {
+                        write(`corrupt ${entry.filepath}: ${entry.error}`);
+                    }
+                });
+
+                write(`${counts.valid + counts.expired + counts.corrupt} files: ${counts.valid} valid, ${counts.expired} expired, ${counts.corrupt} corrupt`);
+                return counts.corrupt ? 1 : 0;
+            }
+
+            case 'purge':
+                write(`Removed ${await disk.dropSegment(segment)} entries`);
+                return 0;
+        }
+    } finally {
+        disk.stop();
+    }
+};
+
+
+// Resolves to the process exit code: 0 on success, 1 when the command failed, 2 on a usage error
+
+exports.run = async (argv, options) => {
+
+    const write      = (line) => options.stdout.write(line + '\n');
+    const writeError = (line) => options.stderr.write(line + '\n');
+
+    let parsed;
+    try {
+        parsed = internals.parse(argv, options.env || {});
+    } catch (e) {
+        writeError(`${e.message}\n\n${internals.usage}`);
+        return 2;
+    }
+
+    if (parsed.help) {
+        write(internals.usage);
+        return 0;
+    }
+
+    const command = internals.commands[parsed.command];
+    if (!command || !parsed.path || parsed.args.length < command.args || parsed.args.length > command.args + (command.optional || 0)) {
+        writeError(internals.usage);
+        return 2;
+    }
+
+    try {
+        return await internals.run(parsed, write, writeError);
+    } catch (e) {
+        writeError(e.message);
+        return 1;
+    }
+};
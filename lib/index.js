@@ -6,9 +6,16 @@ const Path   = require('path');
 const Hoek   = require('hoek');
 const Crypto = require('crypto');
 const Mkdirp = require('mkdirp');
-const Walk   = require('walk');
 const Util   = require('util');
 const Boom   = require('boom');
+const Zlib   = require('zlib');
+const Events = require('events');
+const Stream = require('stream');
+
+const Layout      = require('./layout');
+const Lock        = require('./lock');
+const Metrics     = require('./metrics');
+const Serializers = require('./serializers');
 
 // Declare internals
 const internals = {};
@@ -16,7 +23,19 @@ const fs = {
     writeFile: Util.promisify(Fs.writeFile),
     readFile: Util.promisify(Fs.readFile),
     unlink: Util.promisify(Fs.unlink),
-    stat: Util.promisify(Fs.stat)
+    stat: Util.promisify(Fs.stat),
+    utimes: Util.promisify(Fs.utimes),
+    open: Util.promisify(Fs.open),
+    write: Util.promisify(Fs.write),
+    fsync: Util.promisify(Fs.fsync),
+    close: Util.promisify(Fs.close),
+    rename: Util.promisify(Fs.rename),
+    readdir: Util.promisify(Fs.readdir),
+    lstat: Util.promisify(Fs.lstat),
+    rmdir: Util.promisify(Fs.rmdir),
+    read: Util.promisify(Fs.read),
+    appendFile: Util.promisify(Fs.appendFile),
+    statfs: Fs.statfs ? Util.promisify(Fs.statfs) : null        // node >= 18.15
 };
 const mkdirp = Util.promisify(Mkdirp);
 
@@ -44,199 +63,2731 @@ internals.Unlink = async function (filepath) {
     }
 };
 
-exports = module.exports = internals.Connection = class {
+internals.durabilities  = ['none', 'rename', 'fsync'];
+internals.tempFileMaxAge = 60000;                      // leftover temp files older than this are reaped by the cleaner
+internals.headSize       = 4096;                       // bytes read from each file by the cleaner to find its expiry
+internals.indexDir       = '_expiry';                  // expiry index, one append-only log of file paths per bucket
+internals.indexMarker    = 'complete';                 // written once the index covers every file on disk
+internals.bucketSize     = 60000;
+internals.cleanerLock    = '_cleaner.lock';            // held by whichever process is sweeping
+internals.layoutFile     = '_layout.json';             // hash and fan-out the files below were written with
+internals.maxChain       = 4;                          // files per hash in collision chain mode: <hash>.json, <hash>.1.json, ..
+internals.collisionModes = ['miss', 'chain'];
+internals.quarantineDir  = '_corrupt';                 // unreadable cache files moved aside by onCorrupt: 'quarantine'
+internals.tagDir         = '_tags';                    // tag index, a directory of markers per tag, each naming a tagged file
+internals.corruptModes   = ['delete', 'quarantine', 'throw'];
+internals.verifyModes    = ['always', 'sampled', 'never'];
+internals.testFileRegex  = /^testDiskAccess\.\d+\.txt$/;    // written to cachePath by every start()
+internals.scanProgress   = 1000;                       // files between startup scan progress events
+internals.spaceInterval  = 5000;                       // how long a free space reading is trusted
+internals.atimeInterval  = 60000;                      // how often a memory hit persists the access time of its file
+internals.lowSpaceModes  = ['reject', 'readOnly'];
+internals.writeModes     = ['reject', 'ignore'];        // what set() and drop() do in a readOnly cache
 
-    constructor (options) {
+internals.accessErrors = {
+    EROFS: 'is on a read-only file system',
+    EACCES: 'is not writable by this process',
+    EPERM: 'is not writable by this process',
+    ENOSPC: 'has no space left'
+};
 
-        const defaults = { cleanEvery:3600000 };
-        this.isConnected = false;
-        Hoek.assert(this.constructor === internals.Connection, 'Disk cache client must be instantiated using new');
-        const settings = Hoek.applyToDefaults(defaults, options);
-        Hoek.assert(settings.cachePath, 'Missing cachePath value');
-        Hoek.assert(settings.cleanEvery === parseInt(settings.cleanEvery, 10), 'cleanEvery is not an integer');
+internals.codecs = {
+    gzip: { compress: Util.promisify(Zlib.gzip), decompress: Util.promisify(Zlib.gunzip) },
+    deflate: { compress: Util.promisify(Zlib.deflate), decompress: Util.promisify(Zlib.inflate) }
+};
 
-        this.settings = Hoek.clone(settings);
+if (Zlib.brotliCompress) {                              // node >= 11.7
+    internals.codecs.brotli = { compress: Util.promisify(Zlib.brotliCompress), decompress: Util.promisify(Zlib.brotliDecompress) };
+}
+
+internals.crc32Table = new Int32Array(256).map((value, n) => {
+
+    let c = n;
+    for (let k = 0; k < 8; ++k) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
     }
 
+    return c;
+});
 
-    getStoragePathForKey (key) {
-        const hash = Crypto.createHash('md5').update(key.id).digest('hex');
+internals.checksums = {
+    crc32: (data) => {
 
-        const sub1        = hash.substring(0,2);
-        const sub2        = hash.substring(2,4);
-        const destination = Path.join(this.settings.cachePath, key.segment, sub1, sub2, hash + '.json');
-        // console.log('destination:',destination);
-        return destination;
-    }
+        let crc = -1;
+        for (let i = 0; i < data.length; ++i) {
+            crc = internals.crc32Table[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
 
+        return ('0000000' + ((crc ^ -1) >>> 0).toString(16)).slice(-8);
+    },
+    sha256: (data) => Crypto.createHash('sha256').update(data).digest('hex')
+};
 
 
-    async start () {
+// The bytes a checksum covers: compressed and Buffer items as they are, anything else as JSON.
+// A Buffer comes back from the json serializer as { type: 'Buffer', data }, which is treated the same.
 
-        this.isConnected = false;
+internals.itemBytes = (item) => {
 
-        const stats = await fs.stat(this.settings.cachePath);
-        if (!stats.isDirectory()) {
-            throw new Boom(`cachePath "${this.settings.cachePath}" is not a directory!`);
-        }
+    if (Buffer.isBuffer(item)) {
+        return item;
+    }
 
-        await internals.testDiskAccess(this.settings.cachePath);
-        this.isConnected = true;
-        this.cacheCleanerInit();
+    if (item && item.type === 'Buffer' && Array.isArray(item.data)) {
+        return Buffer.from(item.data);
     }
 
+    return Buffer.from(item === undefined ? 'null' : JSON.stringify(item));
+};
 
-    stop () {
+internals.checksum = (algorithm, item) => `${algorithm}:${internals.checksums[algorithm](internals.itemBytes(item))}`;
 
-        clearTimeout(this.cacheCleanerTimeout);
-        this.isConnected = false;
+internals.verifyChecksum = (envelope) => {
+
+    if (!envelope.checksum) {
+        return;                                         // written without one
     }
 
-    isReady () {
+    const algorithm = envelope.checksum.split(':')[0];
+    if (!internals.checksums[algorithm]) {
+        throw new Error(`Unsupported checksum ${algorithm}`);
+    }
 
-        return this.isConnected;
+    if (internals.checksum(algorithm, envelope.item) !== envelope.checksum) {
+        throw new Error('Checksum mismatch');
     }
+};
 
+// Resolves once the stream can take more, waiting for it to drain when its buffer is full
 
-    validateSegmentName (name) {
+internals.writeTo = (stream, chunk) => {
 
-        if (!name) {
-            return new Error('Empty string');
-        }
+    if (stream.write(chunk)) {
+        return Promise.resolve();
+    }
 
-        if (name.indexOf('\0') !== -1) {
-            return new Error('Includes null character');
-        }
+    return new Promise((resolve, reject) => {
 
-        return null;
-    }
+        const done = (err) => {
+
+            stream.removeListener('drain', done);
+            stream.removeListener('error', done);
+            return err ? reject(err) : resolve();
+        };
 
-    async get (key) {
+        stream.once('drain', done);
+        stream.once('error', done);
+    });
+};
 
-        if (!this.isConnected) {
-            throw new Boom('Connection not started');
+
+// Calls onLine for every line of a text stream, one at a time, pausing the stream while it runs
+
+internals.readLines = (stream, onLine) => {
+
+    return new Promise((resolve, reject) => {
+
+        let rest    = '';
+        let failed  = false;
+        let pending = Promise.resolve();                // 'end' can come before the last lines are handled
+
+        const fail = (err) => {
+
+            if (!failed) {
+                failed = true;
+                stream.removeAllListeners('data');
+                stream.pause();
+                reject(err);
+            }
+        };
+
+        const each = async (lines) => {
+
+            for (const line of lines) {
+                if (line.trim()) {
+                    await onLine(line);
+                }
+            }
+        };
+
+        stream.setEncoding('utf8');
+        stream.on('error', fail);
+        stream.on('data', (chunk) => {
+
+            stream.pause();
+            const lines = (rest + chunk).split('\n');
+            rest = lines.pop();
+            pending = pending.then(() => each(lines)).then(() => stream.resume());
+            pending.catch(fail);
+        });
+
+        stream.on('end', () => {
+
+            pending.then(() => each([rest])).then(resolve, fail);
+        });
+    });
+};
+
+internals.snapshotFormat = 'catbox-disk-snapshot';
+
+internals.dataPath = (filepath) => filepath.replace(/\.json$/, '.data');
+
+
+// Copies a stream into a new file, resolving to the number of bytes written
+
+internals.pipeToFile = (readable, filepath, durability) => {
+
+    return new Promise((resolve, reject) => {
+
+        const out = Fs.createWriteStream(filepath, { flags: 'wx' });
+        let size  = 0;
+
+        const fail = (err) => {
+
+            readable.unpipe(out);
+            out.destroy();
+            reject(err);
+        };
+
+        readable.on('data', (chunk) => {
+
+            size += chunk.length;
+        });
+
+        readable.once('error', fail);
+        out.once('error', fail);
+        out.once('close', () => resolve(size));
+        readable.pipe(out);
+    }).then(async (size) => {
+
+        if (durability === 'fsync') {
+            await internals.fsyncPath(filepath, 'r+');
         }
 
-        const filepath = this.getStoragePathForKey(key);
-        return await this.readCacheFile(filepath);
+        return size;
+    });
+};
+
+
+// Resolves to a stream of the file once it is open, or null when there is no such file
+
+internals.openStream = (filepath) => {
+
+    return new Promise((resolve, reject) => {
+
+        const stream  = Fs.createReadStream(filepath);
+        const onError = (err) => {
+
+            return err.code === 'ENOENT' ? resolve(null) : reject(new Boom(err));
+        };
+
+        stream.once('error', onError);
+        stream.once('open', () => {
+
+            stream.removeListener('error', onError);
+            resolve(stream);
+        });
+    });
+};
+
+internals.isLockFile = (filename) => /\.lock(\.[a-f0-9]+\.stale)?$/.test(filename);     // or set aside while being broken
+internals.sameKey    = (a, b) => !!a && !!b && a.segment === b.segment && a.id === b.id;
+
+
+internals.fsyncPath = async (filepath, flags) => {
+
+    const fd = await fs.open(filepath, flags);
+    try {
+        await fs.fsync(fd);
+    } finally {
+        await fs.close(fd);
     }
+};
 
-    async readCacheFile (filepath) {
+internals.writeFileAtomic = async (filepath, body, durability) => {
 
-        let data = null;
+    if (durability === 'none') {
+        return await fs.writeFile(filepath, body);
+    }
 
-        try {
-            data = await fs.readFile(filepath, 'utf8');
-        } catch (e) {
-            if (e.code !== 'ENOENT') {
-                throw new Boom(e);
+    // the temp file lives next to the target so the rename never crosses a filesystem boundary
+    const tmppath = `${filepath}.${process.pid}.${Crypto.randomBytes(4).toString('hex')}.tmp`;
+
+    try {
+        if (durability === 'fsync') {
+            const fd = await fs.open(tmppath, 'w');
+            try {
+                await fs.write(fd, body);
+                await fs.fsync(fd);
+            } finally {
+                await fs.close(fd);
             }
-            return null;  // File not found = cache miss
+        } else {
+            await fs.writeFile(tmppath, body);
         }
 
-        let obj;
+        await fs.rename(tmppath, filepath);
+    } catch (e) {
+        await internals.Unlink(tmppath);
+        throw e;
+    }
+
+    if (durability === 'fsync') {
+        // persist the directory entry created by the rename
         try {
-            obj = JSON.parse(data);
-        } catch (e){
-            // remove the corrupted file to prevent later issues
-            return internals.Unlink(filepath);
-        }
+            await internals.fsyncPath(Path.dirname(filepath), 'r');
+        } catch (e) {}                                  // not every platform can fsync a directory
+    }
+};
 
-        // const obj  = JSON.parse(data);
-        const now     = new Date().getTime();
-        // const stored  = obj.stored;
-        const key     = obj.key;
-        const ttl     = obj.stored + obj.ttl - now;
+// Names become directories, so they are held to what is safe as a relative path on any platform
 
-        // Cache item has expired
-        if (ttl<=0) {
-            this.drop(key, () => {}); // clear out the old stuff
-            return null;
-        }
+internals.validateName = (name) => {
 
-        const result = {
-            key,
-            ttl,
-            item   : obj.item,
-            stored : obj.stored,
-        };
+    if (!name) {
+        return new Error('Empty string');
+    }
 
-        return result;
+    if (typeof name !== 'string') {
+        return new Error('Not a string');
     }
 
-    async set (key, value, ttl) {
+    if (name.indexOf('\0') !== -1) {
+        return new Error('Includes null character');
+    }
 
-        if (!this.isConnected) {
-            throw new Boom('Connection not started');
-        }
+    if (name.indexOf('\\') !== -1) {
+        return new Error('Includes backslash');
+    }
 
-        const filepath = this.getStoragePathForKey(key);
-        const dirs     = Path.dirname(filepath);
+    if (Path.isAbsolute(name)) {
+        return new Error('Is an absolute path');
+    }
 
-        const envelope = {
-            key,
-            ttl,
-            item    : value,
-            stored  : Date.now(),
-            expires : new Date((new Date()).getTime() + ttl)
-        };
+    for (const component of name.split('/')) {
+        if (!component || component === '.' || component === '..') {
+            return new Error('Includes an empty, "." or ".." path component');
+        }
 
-        let body = null;
-        try {
-            body = JSON.stringify(envelope);
+        if (!/^[\w\-.!#@~+=,$%&]+$/.test(component)) {
+            return new Error('Includes characters other than letters, digits and -_.!#@~+=,$%&');
         }
-        catch (err) {
-            throw new Boom(err);
+
+        if (component[component.length - 1] === '.') {
+            return new Error('Includes a path component ending with "."');
         }
 
-        try {
-            await mkdirp(dirs);
-            await fs.writeFile(filepath, body);
-        } catch (e){
-            Hoek.assert(e,`${e}`);
+        if (/^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i.test(component)) {
+            return new Error('Includes a reserved device name');
         }
 
-        return null;
+        if (component.length > 255) {
+            return new Error('Includes a path component longer than 255 characters');
+        }
     }
 
-    async drop (key) {
+    return null;
+};
 
-        if (!this.isConnected) {
-            throw new Boom('Connection not started');
+internals.exists = async (filepath) => {
+
+    try {
+        await fs.lstat(filepath);
+        return true;
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            throw new Boom(e);
         }
+        return false;
+    }
+};
 
-        const filepath = this.getStoragePathForKey(key);
-        await internals.Unlink(filepath);
+// Moves source onto destination, merging directories that already exist; existing destination files win
+
+internals.moveTree = async (source, destination) => {
+
+    if (!(await internals.exists(destination))) {
+        return await fs.rename(source, destination);
+    }
+
+    const stat = await fs.lstat(source);
+    if (!stat.isDirectory()) {
+        return await internals.Unlink(source);
     }
 
-    async cacheCleanerInit (){
-        const self = this;
+    for (const name of await fs.readdir(source)) {
+        await internals.moveTree(Path.join(source, name), Path.join(destination, name));
+    }
 
-        // early exit if we don't want automated cleanup
-        if (self.settings.cleanEvery === 0){
+    await fs.rmdir(source);
+};
+
+internals.compress = async (envelope, codec, threshold) => {
+
+    const item = envelope.item;
+    if (item === undefined) {
+        return envelope;
+    }
+
+    const isBuffer = Buffer.isBuffer(item);
+    const payload  = isBuffer ? item : Buffer.from(JSON.stringify(item));
+    if (payload.length < threshold) {
+        return envelope;
+    }
+
+    const compressed = await internals.codecs[codec].compress(payload);
+    return Object.assign({}, envelope, { item: compressed, codec, format: isBuffer ? 'buffer' : 'json' });
+};
+
+internals.decompress = async (envelope) => {
+
+    if (!envelope.codec) {
+        return envelope;                                // stored uncompressed
+    }
+
+    const codec = internals.codecs[envelope.codec];
+    if (!codec) {
+        throw new Error(`Unsupported codec ${envelope.codec}`);
+    }
+
+    const payload = await codec.decompress(envelope.item);
+    envelope.item = envelope.format === 'buffer' ? payload : JSON.parse(payload.toString('utf8'));
+    return envelope;
+};
+
+// Runs at most `concurrency` of the tasks handed to the returned function at once
+
+internals.limiter = (concurrency) => {
+
+    const queue = [];
+    let active  = 0;
+
+    const next = () => {
+
+        if (active >= concurrency || !queue.length) {
             return;
         }
 
-        const firstrun = Math.floor(Math.random() * (3000 - 200) + 200);
-        const runCleaner = function (){
-            const walker  = Walk.walk(self.settings.cachePath, { followLinks: false });
-            walker.on('file', (root, fileStat, next) => {
-                // only examine files matching the cache naming convention, ignore all others
-                if (!fileStat.name.match(/^[a-f0-9]{32}\.json$/i)){
-                    return next();
+        const job = queue.shift();
+        ++active;
+        Promise.resolve()
+            .then(job.task)
+            .then(job.resolve, job.reject)
+            .then(() => {
+
+                --active;
+                next();
+            });
+    };
+
+    return (task) => {
+
+        return new Promise((resolve, reject) => {
+
+            queue.push({ task, resolve, reject });
+            next();
+        });
+    };
+};
+
+// Depth first walk calling onFile(filepath, stat) for every file and onDirectory(dirpath) once a directory is done
+
+internals.walk = async (root, options) => {
+
+    const limit = internals.limiter(options.concurrency || 1);
+
+    const visit = async (dir) => {
+
+        if (options.stop && options.stop()) {
+            return;
+        }
+
+        let names;
+        try {
+            names = await fs.readdir(dir);
+        } catch (e) {
+            if (e.code === 'ENOENT') {
+                return;                                 // removed while walking
+            }
+            throw e;
+        }
+
+        const subdirs = [];
+        await Promise.all(names.map((name) => {
+
+            return limit(async () => {
+
+                if (options.stop && options.stop()) {
+                    return;
                 }
 
-                const filepath = Path.resolve(root, fileStat.name);
-                self.readCacheFile(filepath, next);
+                const filepath = Path.join(dir, name);
+                let stat;
+                try {
+                    stat = await fs.lstat(filepath);
+                } catch (e) {
+                    if (e.code === 'ENOENT') {
+                        return;
+                    }
+                    throw e;
+                }
 
+                if (stat.isDirectory()) {
+                    subdirs.push(filepath);
+                } else if (options.onFile) {
+                    await options.onFile(filepath, stat);
+                }
             });
+        }));
+
+        for (const subdir of subdirs) {
+            await visit(subdir);
+        }
 
-            walker.on('end', () => {
+        if (options.onDirectory && dir !== root) {
+            await options.onDirectory(dir);
+        }
+    };
 
-                self.cacheCleanerTimeout = setTimeout(runCleaner,self.settings.cleanEvery);
-            });
-        };
+    await visit(root);
+};
+
+internals.readdirIfExists = async (dir) => {
+
+    try {
+        return await fs.readdir(dir);
+    } catch (e) {
+        if (e.code === 'ENOENT' || e.code === 'ENOTDIR') {
+            return [];
+        }
+        throw new Boom(e);
+    }
+};
+
+internals.readHead = async (filepath, size) => {
+
+    const fd = await fs.open(filepath, 'r');
+    try {
+        const buffer = Buffer.alloc(size);
+        const { bytesRead } = await fs.read(fd, buffer, 0, size, 0);
+        return buffer.slice(0, bytesRead);
+    } finally {
+        await fs.close(fd);
+    }
+};
+
+// Reads key, ttl and stored from the first bytes of a cache file, reading the whole file only for formats without a header
+
+internals.readHeader = async (filepath, fileStat, preferred) => {
+
+    const head       = await internals.readHead(filepath, internals.headSize);
+    const serializer = Serializers.detect(preferred, head);
+    if (!serializer) {
+        return null;
+    }
+
+    let header = null;
+    try {
+        header = serializer.readHeader ? serializer.readHeader(head) : null;
+        header = header || serializer.deserialize(await fs.readFile(filepath));
+    } catch (e) {
+        return null;                                    // unreadable files are left for get() to deal with
+    }
+
+    if (typeof header.ttl !== 'number') {
+        return null;
+    }
+
+    // files written before the header carried stored were last modified when stored
+    const stored = typeof header.stored === 'number' ? header.stored : fileStat.mtime.getTime();
+    return { key: header.key, ttl: header.ttl, stored, tags: header.tags || [] };
+};
+
+internals.digest = (value) => Crypto.createHash('sha1').update(value).digest('hex');
+
+internals.validateTags = (tags) => {
+
+    const isValid = Array.isArray(tags) && tags.every((tag) => typeof tag === 'string' && tag.length > 0);
+    if (!isValid) {
+        throw new Boom('tags must be an array of non-empty strings');
+    }
+
+    return Array.from(new Set(tags));
+};
+
+internals.readExpiry = async (filepath, fileStat, preferred) => {
+
+    const header = await internals.readHeader(filepath, fileStat, preferred);
+    return header && header.stored + header.ttl;
+};
+
+
+// Tracks the size and recency of every cache file so a disk budget can be enforced
+
+internals.Usage = class {
+
+    constructor (policy) {
 
-        self.cacheCleanerTimeout = setTimeout(runCleaner,firstrun);
+        this.policy = policy;
+        this.reset();
+    }
+
+    reset () {
+
+        this.entries = new Map();               // filepath -> { size, hits }, oldest access first
+        this.bytes   = 0;
+    }
+
+    track (filepath, size) {
+
+        const existing = this.entries.get(filepath);
+        const hits     = existing ? existing.hits : 0;
+
+        this.forget(filepath);
+        this.entries.set(filepath, { size, hits });
+        this.bytes += size;
+    }
+
+    touch (filepath) {
+
+        const entry = this.entries.get(filepath);
+        if (!entry) {
+            return;
+        }
+
+        // re-insert to move the entry to the most recently used end of the map
+        this.entries.delete(filepath);
+        entry.hits++;
+        this.entries.set(filepath, entry);
+    }
+
+    forget (filepath) {
+
+        const entry = this.entries.get(filepath);
+        if (!entry) {
+            return;
+        }
+
+        this.entries.delete(filepath);
+        this.bytes -= entry.size;
+    }
+
+    victim (exclude) {
+
+        let found = null;
+        for (const [filepath, entry] of this.entries) {
+            if (filepath === exclude) {
+                continue;
+            }
+
+            if (this.policy === 'lru') {
+                return filepath;
+            }
+
+            // lfu: fewest hits wins, ties go to the least recently used
+            if (!found || entry.hits < found.hits) {
+                found = { filepath, hits: entry.hits };
+            }
+        }
+
+        return found && found.filepath;
+    }
+};
+
+
+// Items are kept in memory serialized, like on disk, so neither the caller of set() nor those of get() can change
+// what the next get() sees
+
+internals.freeze = (item) => {
+
+    if (Buffer.isBuffer(item)) {
+        return Buffer.from(item);
+    }
+
+    return item === undefined ? undefined : JSON.stringify(item);
+};
+
+internals.thaw = (payload) => {
+
+    if (Buffer.isBuffer(payload)) {
+        return Buffer.from(payload);
+    }
+
+    return payload === undefined ? undefined : JSON.parse(payload);
+};
+
+
+// Bounded LRU of recently used items, served without touching the disk
+
+internals.Memory = class {
+
+    constructor (options) {
+
+        this.maxItems = options.maxItems || 0;
+        this.maxBytes = options.maxBytes || 0;
+        this.entries  = new Map();                      // filepath -> { key, payload, stored, expires, size, persisted }, oldest first
+        this.bytes    = 0;
+    }
+
+    get (filepath) {
+
+        const entry = this.entries.get(filepath);
+        if (!entry) {
+            return null;
+        }
+
+        const ttl = entry.expires - Date.now();
+        if (ttl <= 0) {
+            this.delete(filepath);
+            return null;
+        }
+
+        this.entries.delete(filepath);
+        this.entries.set(filepath, entry);
+        return { key: entry.key, ttl, item: internals.thaw(entry.payload), stored: entry.stored };
+    }
+
+    // item is { key, item, stored, expires }; its size is that of the serialized item
+
+    set (filepath, item) {
+
+        this.delete(filepath);
+
+        const payload = internals.freeze(item.item);
+        const entry   = { key: item.key, payload, stored: item.stored, expires: item.expires, size: payload === undefined ? 0 : Buffer.byteLength(payload), persisted: 0 };
+        if (this.maxBytes && entry.size > this.maxBytes) {
+            return;
+        }
+
+        this.entries.set(filepath, entry);
+        this.bytes += entry.size;
+
+        while ((this.maxItems && this.entries.size > this.maxItems) || (this.maxBytes && this.bytes > this.maxBytes)) {
+            this.delete(this.entries.keys().next().value);
+        }
+    }
+
+    // Whether the access time of the entry's file is due to be written again, at most once every interval ms
+
+    isDue (filepath, interval) {
+
+        const entry = this.entries.get(filepath);
+        const now   = Date.now();
+        if (!entry || now - entry.persisted < interval) {
+            return false;
+        }
+
+        entry.persisted = now;
+        return true;
+    }
+
+    delete (filepath) {
+
+        const entry = this.entries.get(filepath);
+        if (entry) {
+            this.entries.delete(filepath);
+            this.bytes -= entry.size;
+        }
+    }
+};
+
+
+exports = module.exports = internals.Connection = class extends Events.EventEmitter {
+
+    constructor (options) {
+
+        super();
+
+        const defaults = { cleanEvery:3600000, cleanConcurrency:8, maxBytes:0, maxEntries:0, evictionPolicy:'lru', durability:'rename', serializer:'json', compression:false, compressionThreshold:1024, expiryIndex:false, fullSweepEvery:86400000,
+            locking:false, lockStale:30000, lockTimeout:10000, memory:false,
+            hash:Layout.defaults.hash, fanoutDepth:Layout.defaults.fanoutDepth, fanoutWidth:Layout.defaults.fanoutWidth,
+            collisions:'miss', onCorrupt:'delete', quarantineMaxAge:604800000, checksum:'sha256', verify:'never', verifySampleRate:0.01,
+            startupScan:false, createPath:false, pathMode:0o777, minFreeBytes:0, onLowSpace:'reject',
+            readOnly:false, readOnlyWrites:'reject', staleGrace:0 };
+        this.isConnected = false;
+        Hoek.assert(this.constructor === internals.Connection, 'Disk cache client must be instantiated using new');
+        const settings = Hoek.applyToDefaults(defaults, options);
+        Hoek.assert(settings.cachePath, 'Missing cachePath value');
+        Hoek.assert(settings.cleanEvery === parseInt(settings.cleanEvery, 10), 'cleanEvery is not an integer');
+        Hoek.assert(settings.cleanConcurrency === parseInt(settings.cleanConcurrency, 10) && settings.cleanConcurrency > 0, 'cleanConcurrency is not a positive integer');
+        Hoek.assert(settings.maxBytes === parseInt(settings.maxBytes, 10) && settings.maxBytes >= 0, 'maxBytes is not a non-negative integer');
+        Hoek.assert(settings.maxEntries === parseInt(settings.maxEntries, 10) && settings.maxEntries >= 0, 'maxEntries is not a non-negative integer');
+        Hoek.assert(['lru', 'lfu'].indexOf(settings.evictionPolicy) !== -1, 'evictionPolicy must be "lru" or "lfu"');
+        Hoek.assert(settings.partition === undefined || !internals.validateName(settings.partition), `Invalid partition name: ${settings.partition}`);
+        Hoek.assert(internals.durabilities.indexOf(settings.durability) !== -1, `durability must be one of ${internals.durabilities.join(', ')}`);
+
+        Hoek.assert(settings.compression === false || internals.codecs[settings.compression], `Unsupported compression "${settings.compression}"`);
+        Hoek.assert(settings.compressionThreshold === parseInt(settings.compressionThreshold, 10) && settings.compressionThreshold >= 0, 'compressionThreshold is not a non-negative integer');
+
+        Hoek.assert(settings.lockStale === parseInt(settings.lockStale, 10) && settings.lockStale > 0, 'lockStale is not a positive integer');
+        Hoek.assert(settings.lockTimeout === parseInt(settings.lockTimeout, 10) && settings.lockTimeout >= 0, 'lockTimeout is not a non-negative integer');
+
+        Hoek.assert(settings.memory === false || (settings.memory && ['maxItems', 'maxBytes'].every((name) => {
+
+            const value = settings.memory[name];
+            return value === undefined || (value === parseInt(value, 10) && value >= 0);
+        }) && (settings.memory.maxItems > 0 || settings.memory.maxBytes > 0)), 'memory must be false or { maxItems, maxBytes } with at least one positive limit');
+
+        Hoek.assert(internals.collisionModes.indexOf(settings.collisions) !== -1, `collisions must be one of ${internals.collisionModes.join(', ')}`);
+        Hoek.assert(internals.corruptModes.indexOf(settings.onCorrupt) !== -1, `onCorrupt must be one of ${internals.corruptModes.join(', ')}`);
+        Hoek.assert(settings.quarantineMaxAge === parseInt(settings.quarantineMaxAge, 10) && settings.quarantineMaxAge >= 0, 'quarantineMaxAge is not a non-negative integer');
+        Hoek.assert(settings.staleGrace === parseInt(settings.staleGrace, 10) && settings.staleGrace >= 0, 'staleGrace is not a non-negative integer');
+        Hoek.assert(settings.fullSweepEvery === parseInt(settings.fullSweepEvery, 10) && settings.fullSweepEvery >= 0, 'fullSweepEvery is not a non-negative integer');
+
+        Hoek.assert(settings.checksum === false || internals.checksums[settings.checksum], `checksum must be false or one of ${Object.keys(internals.checksums).join(', ')}`);
+        Hoek.assert(internals.verifyModes.indexOf(settings.verify) !== -1, `verify must be one of ${internals.verifyModes.join(', ')}`);
+        Hoek.assert(typeof settings.verifySampleRate === 'number' && settings.verifySampleRate >= 0 && settings.verifySampleRate <= 1, 'verifySampleRate must be a number between 0 and 1');
+
+        if (settings.startupScan === true) {
+            settings.startupScan = {};
+        }
+
+        Hoek.assert(settings.pathMode === parseInt(settings.pathMode, 10) && settings.pathMode >= 0 && settings.pathMode <= 0o7777, 'pathMode is not a file mode');
+        Hoek.assert(settings.minFreeBytes === parseInt(settings.minFreeBytes, 10) && settings.minFreeBytes >= 0, 'minFreeBytes is not a non-negative integer');
+        Hoek.assert(!settings.minFreeBytes || fs.statfs, 'minFreeBytes needs fs.statfs, available in node >= 18.15');
+        Hoek.assert(internals.lowSpaceModes.indexOf(settings.onLowSpace) !== -1, `onLowSpace must be one of ${internals.lowSpaceModes.join(', ')}`);
+
+        Hoek.assert(internals.writeModes.indexOf(settings.readOnlyWrites) !== -1, `readOnlyWrites must be one of ${internals.writeModes.join(', ')}`);
+        Hoek.assert(!settings.readOnly || !['maxBytes', 'maxEntries', 'locking', 'startupScan', 'createPath'].some((name) => settings[name]),
+            'readOnly can\'t be combined with maxBytes, maxEntries, locking, startupScan or createPath');
+
+        Hoek.assert(settings.startupScan === false || (settings.startupScan && ['timeBudget', 'preload'].every((name) => {
+
+            const value = settings.startupScan[name];
+            return value === undefined || (value === parseInt(value, 10) && value >= 0);
+        })), 'startupScan must be a boolean or { timeBudget, preload } with non-negative integers');
+
+        this.serializer = Serializers.resolve(settings.serializer);
+        Hoek.assert(this.serializer, 'serializer must be "json", "binary" or an object with detect, serialize and deserialize methods');
+
+        this.settings = Hoek.clone(settings);
+        this.layout   = new Layout.Layout(settings);
+        this.rootPath = Path.resolve(settings.partition ? Path.join(settings.cachePath, settings.partition) : settings.cachePath);
+        this.usage    = new internals.Usage(settings.evictionPolicy);
+        this.reads    = new Map();                      // filepath -> key id -> pending read, shared by concurrent gets
+        this.writes   = new Map();                      // filepath -> tail of the queue of writes and drops
+        this.memory   = settings.memory ? new internals.Memory(settings.memory) : null;
+        this.outdated = new Set();                      // filepaths written to while a read was in flight
+        this.metrics  = new Metrics.Metrics();
+        this.lowSpace = false;                          // free space was below minFreeBytes at the last check
+        this.spaceChecked = 0;
+    }
+
+
+    hasBudget () {
+
+        return this.settings.maxBytes > 0 || this.settings.maxEntries > 0;
+    }
+
+    isOverBudget () {
+
+        return (this.settings.maxBytes > 0 && this.usage.bytes > this.settings.maxBytes) ||
+            (this.settings.maxEntries > 0 && this.usage.entries.size > this.settings.maxEntries);
+    }
+
+    async evict (exclude) {
+
+        while (this.isOverBudget()) {
+            const victim = this.usage.victim(exclude);
+            if (!victim) {
+                return;         // only the excluded entry is left, it alone is over budget
+            }
+
+            // ordered with the set()s and drop()s of the victim's key, which may have replaced or removed it meanwhile
+            const bytes = await this.exclusive(this.primaryPath(victim), async () => {
+
+                if (this.usage.victim(exclude) !== victim) {
+                    return null;
+                }
+
+                const size = this.usage.entries.get(victim).size;
+                await this.remove(victim);
+                return size;
+            });
+
+            if (bytes === null) {
+                continue;
+            }
+
+            this.metrics.count('evictions');
+            this.metrics.count('bytesEvicted', bytes);
+            this.emit('evict', { filepath: victim, bytes });
+        }
+    }
+
+    forget (filepath) {
+
+        this.usage.forget(filepath);
+        if (this.memory) {
+            this.memory.delete(filepath);
+        }
+    }
+
+    async rebuildUsage () {
+
+        // recency is persisted as the file atime (see get()), so the on-disk state is the source of truth
+        const found = [];
+        const data  = new Map();
+        await internals.walk(this.rootPath, {
+            onFile: (filepath, fileStat) => {
+
+                const name = Path.basename(filepath);
+                if (this.layout.isCacheFile(name)) {
+                    found.push({ filepath, size: fileStat.size, atime: fileStat.atime.getTime() });
+                } else if (this.layout.isDataFile(name)) {
+                    data.set(filepath, fileStat.size);
+                }
+            }
+        });
+
+        await this.trackUsage(found, data);
+    }
+
+    // Replaces the disk usage with the given cache files, counting the data files of streamed entries with them
+
+    async trackUsage (found, data) {
+
+        found.sort((a, b) => a.atime - b.atime);
+
+        this.usage.reset();
+        for (const entry of found) {
+            this.usage.track(entry.filepath, entry.size + (data.get(internals.dataPath(entry.filepath)) || 0));
+        }
+
+        await this.evict();
+    }
+
+    // Removes a cache file, and the data file a setStream() may have written next to it
+
+    async remove (filepath) {
+
+        const isCacheFile = this.layout.isCacheFile(Path.basename(filepath));
+        const tags        = isCacheFile ? await this.readTags(filepath) : [];
+
+        this.forget(filepath);
+        await internals.Unlink(filepath);
+        if (isCacheFile) {
+            await internals.Unlink(internals.dataPath(filepath));
+            await this.untag(filepath, tags);
+        }
+    }
+
+
+    getStoragePathForKey (key) {
+
+        return Path.join(this.segmentPath(key.segment), ...this.layout.path(key.id));
+    }
+
+    async checkLayout () {
+
+        const filepath = Path.join(this.rootPath, internals.layoutFile);
+        let descriptor = null;
+        let isStored   = true;
+
+        try {
+            descriptor = JSON.parse(await fs.readFile(filepath, 'utf8'));
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                throw new Boom(`Unreadable layout descriptor "${filepath}": ${e.message}`);
+            }
+
+            // files written before there was a descriptor used the default layout
+            isStored = false;
+            const names = (await internals.readdirIfExists(this.rootPath)).filter((name) => name[0] !== '_' && !/^testDiskAccess\./.test(name));
+            descriptor = names.length ? Object.assign(this.layout.describe(), Layout.defaults) : null;
+        }
+
+        const mismatch = descriptor && this.layout.compare(descriptor);
+        if (mismatch) {
+            throw new Boom(`Cache in "${this.rootPath}" was written with a different layout: ${mismatch}`);
+        }
+
+        if (!isStored && !this.settings.readOnly) {
+            await internals.writeFileAtomic(filepath, JSON.stringify(this.layout.describe()), 'rename');
+        }
+    }
+
+
+    async start () {
+
+        this.isConnected = false;
+
+        const cachePath = this.settings.cachePath;
+
+        let stats = null;
+        try {
+            stats = await fs.stat(cachePath);
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                throw new Boom(`cachePath "${cachePath}" can't be accessed: ${e.message}`);
+            }
+
+            if (!this.settings.createPath) {
+                throw new Boom(`cachePath "${cachePath}" does not exist, create it or set createPath`);
+            }
+
+            try {
+                await mkdirp(cachePath, this.settings.pathMode);
+                stats = await fs.stat(cachePath);
+            } catch (err) {
+                throw new Boom(`cachePath "${cachePath}" could not be created: ${err.message}`);
+            }
+        }
+
+        if (!stats.isDirectory()) {
+            throw new Boom(`cachePath "${cachePath}" is not a directory!`);
+        }
+
+        if (!this.settings.readOnly) {
+            try {
+                await internals.testDiskAccess(cachePath);
+            } catch (e) {
+                throw new Boom(`cachePath "${cachePath}" ${internals.accessErrors[e.code] || `failed the write test: ${e.message}`}`);
+            }
+
+            await mkdirp(this.rootPath);
+
+            if (this.settings.minFreeBytes) {
+                await this.checkSpace();
+            }
+        }
+
+        await this.checkLayout();
+
+        // removals only look for tags to unindex once some entry has been tagged
+        this.tagged = await internals.exists(this.tagIndexPath());
+
+        const scan = this.settings.startupScan ? await this.scan(this.settings.startupScan) : null;
+        if (this.hasBudget() && !(scan && scan.complete)) {
+            await this.rebuildUsage();
+        }
+
+        this.isConnected = true;
+        this.cacheCleanerInit();
+    }
+
+
+    // False when a readOnly cache ignores a write, throws when it rejects it
+
+    isWritable (operation) {
+
+        if (!this.settings.readOnly) {
+            return true;
+        }
+
+        if (this.settings.readOnlyWrites === 'reject') {
+            throw new Boom(`Cannot ${operation} in a read-only cache`);
+        }
+
+        return false;
+    }
+
+    // Whether the file system holding the cache had at least minFreeBytes free at the last check.
+    // Stale readings are refreshed in the background so set() never waits for them.
+
+    hasSpace () {
+
+        if (!this.settings.minFreeBytes) {
+            return true;
+        }
+
+        if (Date.now() - this.spaceChecked >= internals.spaceInterval) {
+            this.checkSpace();
+        }
+
+        return !this.lowSpace;
+    }
+
+    async checkSpace () {
+
+        this.spaceChecked = Date.now();
+        try {
+            const info = await fs.statfs(this.rootPath);
+            const free = info.bavail * info.bsize;
+            const low  = free < this.settings.minFreeBytes;
+            if (low && !this.lowSpace) {
+                this.emit('lowSpace', { free, minFreeBytes: this.settings.minFreeBytes });
+            }
+
+            this.lowSpace = low;
+        } catch (e) {}                                  // keep the last reading
+    }
+
+    stop () {
+
+        clearTimeout(this.cacheCleanerTimeout);
+        this.cacheCleanerTimeout = null;
+        this.isConnected = false;
+    }
+
+    isReady () {
+
+        return this.isConnected;
+    }
+
+
+    validateSegmentName (name) {
+
+        const error = internals.validateName(name);
+        if (error) {
+            return error;
+        }
+
+        // top level names starting with _ are kept for the cache's own files, like the expiry index
+        if (name[0] === '_') {
+            return new Error('Names starting with "_" are reserved');
+        }
+
+        return null;
+    }
+
+    async migrateToPartition (partition) {
+
+        partition = partition || this.settings.partition;
+        Hoek.assert(partition, 'Missing partition name');
+        Hoek.assert(!internals.validateName(partition), `Invalid partition name: ${partition}`);
+        Hoek.assert(!this.settings.readOnly, 'Cannot migrate a read-only cache');
+
+        // every top level directory of an unpartitioned tree is a segment
+        const target = Path.join(this.settings.cachePath, partition);
+        const moved  = [];
+
+        await mkdirp(target);
+
+        const descriptor = Path.join(this.settings.cachePath, internals.layoutFile);
+        if (await internals.exists(descriptor)) {
+            const mismatch = this.layout.compare(JSON.parse(await fs.readFile(descriptor, 'utf8')));
+            if (mismatch) {
+                throw new Boom(`Cannot migrate "${this.settings.cachePath}" written with a different layout: ${mismatch}`);
+            }
+
+            await internals.moveTree(descriptor, Path.join(target, internals.layoutFile));
+        }
+
+        for (const name of await fs.readdir(this.settings.cachePath)) {
+            const source = Path.join(this.settings.cachePath, name);
+            if (name === partition || !(await fs.lstat(source)).isDirectory()) {
+                continue;
+            }
+
+            await internals.moveTree(source, Path.join(target, name));
+            moved.push(name);
+        }
+
+        return moved;
+    }
+
+    get (key) {
+
+        return this.lookup(key, false);
+    }
+
+    // Like get(), but an entry that expired less than staleGrace ago is returned with isStale set and a ttl of 0
+
+    getStale (key) {
+
+        return this.lookup(key, true);
+    }
+
+    async lookup (key, allowStale) {
+
+        if (!this.isConnected) {
+            throw new Boom('Connection not started');
+        }
+
+        const started  = Date.now();
+        const filepath = this.getStoragePathForKey(key);
+        const slots    = this.chainPaths(filepath);
+
+        if (this.memory) {
+            for (const slot of slots) {
+                const cached = this.memory.get(slot);
+                if (cached && internals.sameKey(cached.key, key)) {
+                    this.usage.touch(slot);             // keeps hot items from being evicted from disk, also after a restart
+                    if (this.hasBudget() && this.memory.isDue(slot, internals.atimeInterval)) {
+                        await this.persistAccess(slot, cached.stored);
+                    }
+
+                    return this.finishGet(key, allowStale ? Object.assign({ isStale: false }, cached) : cached, started, 'memory');
+                }
+            }
+        }
+
+        // concurrent gets for the same key share a single read, stale reads share theirs under a path no file has
+        const found = await this.coalesce(allowStale ? `${filepath}:stale` : filepath, key.id, async () => {
+
+            let result = null;
+            let slot   = null;
+            for (slot of slots) {
+                result = await this.readCacheFile(slot, key, allowStale);
+                if (result) {
+                    break;
+                }
+            }
+
+            if (result && result.stream) {
+                result.item = await this.readData(slot);
+                result = result.item ? result : null;
+            }
+
+            // don't let a read that raced a write put the older value in memory; streamed items may be too large for it
+            if (result && this.memory && !result.stream && !result.isStale && !this.outdated.has(filepath)) {
+                this.memory.set(slot, { key: result.key, item: result.item, stored: result.stored, expires: Date.now() + result.ttl });
+            }
+
+            if (result && this.hasBudget()) {
+                this.usage.touch(slot);
+                await this.persistAccess(slot, result.stored);
+            }
+
+            return result;
+        });
+
+        const result = found && { key: found.key, ttl: found.ttl, item: found.item, stored: found.stored };
+        if (result && allowStale) {
+            result.isStale = found.isStale;
+        }
+
+        return this.finishGet(key, result, started, 'disk', found && found.size);
+    }
+
+    // Persists the access time so recency survives a restart, keeping mtime at the stored time
+
+    async persistAccess (filepath, stored) {
+
+        try {
+            await fs.utimes(filepath, new Date(), new Date(stored));
+        } catch (e) {}
+    }
+
+    finishGet (key, result, started, source, bytes) {
+
+        const duration = Date.now() - started;
+        this.metrics.observe('getDuration', duration);
+
+        if (!result) {
+            this.metrics.count('misses');
+            this.emit('miss', { key, duration });
+            return null;
+        }
+
+        this.metrics.count('hits');
+        if (source === 'memory') {
+            this.metrics.count('memoryHits');
+        }
+
+        this.emit('hit', { key, source, bytes, duration });
+        return result;
+    }
+
+    coalesce (filepath, id, task) {
+
+        // keyed by path, then id, as colliding keys share a path
+        let pending = this.reads.get(filepath);
+        if (!pending) {
+            pending = new Map();
+            this.reads.set(filepath, pending);
+        }
+
+        if (pending.has(id)) {
+            return pending.get(id);
+        }
+
+        const read = task();
+        const done = () => {
+
+            pending.delete(id);
+            if (!pending.size && this.reads.get(filepath) === pending) {
+                this.reads.delete(filepath);
+                this.outdated.delete(filepath);
+            }
+        };
+
+        pending.set(id, read);
+        read.then(done, done);
+        return read;
+    }
+
+    chainPaths (filepath) {
+
+        if (this.settings.collisions !== 'chain') {
+            return [filepath];
+        }
+
+        const paths = [filepath];
+        for (let i = 1; i < internals.maxChain; ++i) {
+            paths.push(filepath.replace(/\.json$/, `.${i}.json`));
+        }
+
+        return paths;
+    }
+
+    async findSlot (filepath, key) {
+
+        // the slot already holding the key, else the first free, expired or unreadable one
+        let free = null;
+        for (const slot of this.chainPaths(filepath)) {
+            let header = null;
+            try {
+                header = await internals.readHeader(slot, await fs.lstat(slot), this.serializer);
+            } catch (e) {
+                if (e.code !== 'ENOENT') {
+                    throw new Boom(e);
+                }
+
+                free = free || slot;
+                continue;
+            }
+
+            if (header && internals.sameKey(header.key, key)) {
+                return slot;
+            }
+
+            if (!free && (!header || this.isRemovable(header.stored + header.ttl))) {
+                free = slot;
+            }
+        }
+
+        if (!free) {
+            throw new Boom(`More than ${internals.maxChain} keys collide on "${filepath}"`);
+        }
+
+        return free;
+    }
+
+    exclusive (filepath, task) {
+
+        // writes to the same key run one after the other in call order, so the last writer wins
+        const previous = this.writes.get(filepath) || Promise.resolve();
+        const current  = previous.then(async () => {
+
+            try {
+                return await (this.settings.locking ? this.withLock(`${filepath}.lock`, task) : task());
+            } finally {
+                if (this.reads.has(filepath)) {
+                    this.outdated.add(filepath);
+                }
+            }
+        });
+        const tail     = current.then(() => {}, () => {});
+
+        this.writes.set(filepath, tail);
+        tail.then(() => {
+
+            if (this.writes.get(filepath) === tail) {
+                this.writes.delete(filepath);
+            }
+        });
+
+        return current;
+    }
+
+    async withLock (lockpath, task) {
+
+        // serializes writes to a key across processes sharing the cachePath
+        await mkdirp(Path.dirname(lockpath));
+        const lock = await Lock.acquire(lockpath, { stale: this.settings.lockStale, timeout: this.settings.lockTimeout });
+
+        try {
+            return await task();
+        } finally {
+            await lock.release();
+        }
+    }
+
+    // Expired entries are kept for staleGrace ms, so getStale() can still serve them
+
+    isRemovable (expires) {
+
+        return expires !== null && expires + this.settings.staleGrace <= Date.now();
+    }
+
+    // Writes to every slot of a collision chain are serialized under the key's first file
+
+    primaryPath (filepath) {
+
+        return filepath.replace(/\.\d+\.json$/, '.json');
+    }
+
+    // Resolves to the size of the removed file, or null when it is gone or was replaced by a set() since it was read
+
+    dropExpired (filepath) {
+
+        return this.exclusive(this.primaryPath(filepath), async () => {
+
+            let fileStat = null;
+            try {
+                fileStat = await fs.lstat(filepath);
+            } catch (e) {
+                if (e.code !== 'ENOENT') {
+                    throw e;
+                }
+
+                return null;
+            }
+
+            if (!this.isRemovable(await internals.readExpiry(filepath, fileStat, this.serializer))) {
+                return null;
+            }
+
+            await this.remove(filepath);
+            return fileStat.size;
+        });
+    }
+
+    // Resolves to { envelope, size }, { error, size } when the file can't be made sense of, or null when it is missing
+
+    async parseCacheFile (filepath, verify) {
+
+        let data = null;
+
+        try {
+            data = await fs.readFile(filepath);
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                throw new Boom(e);
+            }
+            return null;  // File not found = cache miss
+        }
+
+        this.metrics.count('bytesRead', data.length);
+
+        try {
+            const serializer = Serializers.detect(this.serializer, data);
+            if (!serializer) {
+                throw new Error('Unrecognized file format');
+            }
+
+            const envelope = serializer.deserialize(data);
+            if (verify) {
+                internals.verifyChecksum(envelope);
+            }
+
+            return { envelope: await internals.decompress(envelope), size: data.length };
+        } catch (error) {
+            return { error, size: data.length };
+        }
+    }
+
+    async readCacheFile (filepath, key, allowStale) {
+
+        const parsed = await this.parseCacheFile(filepath, this.shouldVerify());
+        if (!parsed) {
+            return null;
+        }
+
+        if (parsed.error) {
+            return await this.handleCorrupt(filepath, parsed.error);
+        }
+
+        const obj = parsed.envelope;
+
+        // a different key whose id hashes to the same file
+        if (key && !internals.sameKey(obj.key, key)) {
+            this.metrics.count('collisions');
+            this.emit('collision', { key, found: obj.key, filepath });
+            return null;
+        }
+
+        const now     = new Date().getTime();
+        const ttl     = obj.stored + obj.ttl - now;
+        const isStale = ttl <= 0;
+
+        // Cache item has expired, and is past its grace period unless stale items are wanted
+        if (isStale && (!allowStale || -ttl >= this.settings.staleGrace)) {
+            this.metrics.count('expired');
+            this.emit('expired', { key: obj.key, filepath });
+            if (!this.settings.readOnly && this.isRemovable(obj.stored + obj.ttl)) {
+                try {
+                    await this.dropExpired(filepath); // clear out the old stuff
+                } catch (e) {}                      // left for the cleaner
+            }
+
+            return null;
+        }
+
+        const result = {
+            key    : obj.key,
+            ttl    : isStale ? 0 : ttl,
+            item   : obj.item,
+            stored : obj.stored,
+            size   : parsed.size,
+            expires: obj.stored + obj.ttl,
+            stream : obj.stream,
+            tags   : obj.tags,
+            isStale
+        };
+
+        return result;
+    }
+
+    shouldVerify () {
+
+        return this.settings.verify === 'always' ||
+            (this.settings.verify === 'sampled' && Math.random() < this.settings.verifySampleRate);
+    }
+
+    async handleCorrupt (filepath, error) {
+
+        const action = this.settings.readOnly && this.settings.onCorrupt !== 'throw' ? 'ignore' : this.settings.onCorrupt;
+        this.metrics.count('corrupt');
+        this.emit('corrupt', { filepath, error, action });
+
+        // left in place for inspection, until a set() replaces it
+        if (action === 'throw') {
+            throw new Boom(`Corrupt cache file "${filepath}": ${error.message}`);
+        }
+
+        if (action === 'ignore') {
+            return null;
+        }
+
+        await this.exclusive(this.primaryPath(filepath), async () => {
+
+            // a set() may have replaced the file since it was read
+            const parsed = await this.parseCacheFile(filepath, true);
+            if (!parsed || !parsed.error) {
+                return;
+            }
+
+            this.forget(filepath);
+
+            if (this.settings.onCorrupt === 'quarantine') {
+                try {
+                    await this.quarantine(filepath, error);
+                    this.metrics.count('quarantined');
+                    return;
+                } catch (e) {}                          // can't be moved, delete it like before
+            }
+
+            // remove the corrupted file to prevent later issues
+            await this.remove(filepath);
+        });
+
+        return null;
+    }
+
+    // Moves a file to _corrupt/<timestamp>-<name>, next to a <timestamp>-<name>.reason.json describing why
+
+    async quarantine (filepath, error) {
+
+        const dir    = this.quarantinePath();
+        const now    = new Date();
+        const name   = `${now.getTime()}-${Path.basename(filepath)}`;
+        const reason = {
+            filepath    : Path.relative(this.rootPath, filepath),
+            reason      : error.message,
+            quarantined : now.toISOString()
+        };
+
+        await mkdirp(dir);
+        await fs.rename(filepath, Path.join(dir, name));
+        await internals.Unlink(internals.dataPath(filepath));
+        await fs.utimes(Path.join(dir, name), now, now);      // aged from now on, not from when it was stored
+        await fs.writeFile(Path.join(dir, `${name}.reason.json`), JSON.stringify(reason));
+    }
+
+    quarantinePath () {
+
+        return Path.join(this.rootPath, internals.quarantineDir);
+    }
+
+    // options.tags lists the tags dropByTag() can later remove the entry by
+
+    async set (key, value, ttl, options) {
+
+        if (!this.isConnected) {
+            throw new Boom('Connection not started');
+        }
+
+        if (!this.isWritable('set')) {
+            return null;
+        }
+
+        if (!this.hasSpace()) {
+            if (this.settings.onLowSpace === 'reject') {
+                throw new Boom(`Less than ${this.settings.minFreeBytes} bytes are free for the cache`);
+            }
+
+            return null;                                // readOnly until space is freed
+        }
+
+        return await this.store(key, value, ttl, Date.now(), options && options.tags);
+    }
+
+    async store (key, value, ttl, stored, tags) {
+
+        const started  = Date.now();
+        const filepath = this.getStoragePathForKey(key);
+
+        tags = tags ? internals.validateTags(tags) : [];
+
+        // ttl, stored and tags come before the item so the cleaner can find them in the first bytes of the file
+        const envelope = {
+            key,
+            ttl,
+            stored,
+            tags    : tags.length ? tags : undefined,
+            expires : new Date(stored + ttl),
+            item    : value
+        };
+
+        // the key's place in the write queue is taken before compressing, which may finish out of call order
+        const encoding = this.encode(envelope);
+        encoding.catch(() => {});                       // rethrown by the write below
+
+        let bytes = 0;
+        let slot  = filepath;
+        await this.exclusive(filepath, async () => {
+
+            const body = await encoding;
+            bytes = Buffer.byteLength(body);
+
+            if (this.settings.collisions === 'chain') {
+                slot = await this.findSlot(filepath, key);
+            }
+
+            const previous = await this.readTags(slot);
+            await this.writeCacheFile(slot, envelope, body);
+            await internals.Unlink(internals.dataPath(slot));   // left by an earlier setStream() of the key
+            await this.retag(slot, tags, previous);
+
+            if (this.memory) {
+                this.memory.set(slot, { key, item: value, stored: envelope.stored, expires: envelope.stored + ttl });
+            }
+        });
+
+        await this.evict(slot);
+
+        const duration = Date.now() - started;
+        this.metrics.count('sets');
+        this.metrics.count('bytesWritten', bytes);
+        this.metrics.observe('setDuration', duration);
+        this.metrics.observe('itemBytes', bytes);
+        this.emit('set', { key, filepath: slot, bytes, duration });
+
+        return null;
+    }
+
+    async encode (envelope) {
+
+        try {
+            let contents = this.settings.compression ?
+                await internals.compress(envelope, this.settings.compression, this.settings.compressionThreshold) :
+                envelope;
+
+            // covers the item as stored, so it is checked before anything is decompressed
+            if (this.settings.checksum) {
+                contents = Object.assign({}, contents, { checksum: internals.checksum(this.settings.checksum, contents.item) });
+            }
+
+            return this.serializer.serialize(contents);
+        }
+        catch (err) {
+            throw new Boom(err);
+        }
+    }
+
+    // Stores a large item as <hash>.data, streamed from readable, next to a header file without the item
+
+    async setStream (key, readable, ttl, options) {
+
+        if (!this.isConnected) {
+            throw new Boom('Connection not started');
+        }
+
+        const tags = options && options.tags ? internals.validateTags(options.tags) : [];
+
+        if (!this.isWritable('set')) {
+            return null;
+        }
+
+        if (!this.hasSpace()) {
+            if (this.settings.onLowSpace === 'reject') {
+                throw new Boom(`Less than ${this.settings.minFreeBytes} bytes are free for the cache`);
+            }
+
+            return null;
+        }
+
+        const started  = Date.now();
+        const filepath = this.getStoragePathForKey(key);
+
+        let slot  = filepath;
+        let bytes = 0;
+        await this.exclusive(filepath, async () => {
+
+            if (this.settings.collisions === 'chain') {
+                slot = await this.findSlot(filepath, key);
+            }
+
+            // the data is in place before the header points at it; a reader of the old header gets the new data
+            const datapath = internals.dataPath(slot);
+            const tmppath  = `${datapath}.${process.pid}.${Crypto.randomBytes(4).toString('hex')}.tmp`;
+            let size       = 0;
+            try {
+                await mkdirp(Path.dirname(slot));
+                size = await internals.pipeToFile(readable, tmppath, this.settings.durability);
+                await fs.rename(tmppath, datapath);
+            } catch (e) {
+                await internals.Unlink(tmppath);
+                throw new Boom(e);
+            }
+
+            const stored   = Date.now();
+            const envelope = { key, ttl, stored, tags: tags.length ? tags : undefined, expires: new Date(stored + ttl), stream: { size } };
+            const body     = this.serializer.serialize(envelope);
+            if (this.memory) {
+                this.memory.delete(slot);
+            }
+
+            const previous = await this.readTags(slot);
+            await this.writeCacheFile(slot, envelope, body, size);
+            await this.retag(slot, tags, previous);
+            bytes = Buffer.byteLength(body) + size;
+        });
+
+        await this.evict(slot);
+
+        const duration = Date.now() - started;
+        this.metrics.count('sets');
+        this.metrics.count('bytesWritten', bytes);
+        this.metrics.observe('setDuration', duration);
+        this.metrics.observe('itemBytes', bytes);
+        this.emit('set', { key, filepath: slot, bytes, duration });
+
+        return null;
+    }
+
+    // Resolves to { key, ttl, stored, size, stream } or null. Items stored with set() are streamed as they are
+    // for Buffers, as JSON otherwise.
+
+    async getStream (key) {
+
+        if (!this.isConnected) {
+            throw new Boom('Connection not started');
+        }
+
+        const started  = Date.now();
+        const filepath = this.getStoragePathForKey(key);
+
+        for (const slot of this.chainPaths(filepath)) {
+            const result = await this.readCacheFile(slot, key);
+            if (!result) {
+                continue;
+            }
+
+            let stream = null;
+            let size   = 0;
+            if (result.stream) {
+                stream = await internals.openStream(internals.dataPath(slot));
+                size   = result.stream.size;
+            } else {
+                const payload = internals.itemBytes(result.item);
+                stream = new Stream.PassThrough();
+                stream.end(payload);
+                size   = payload.length;
+            }
+
+            if (!stream) {
+                break;                                  // dropped since the header was read
+            }
+
+            this.usage.touch(slot);
+            return this.finishGet(key, { key: result.key, ttl: result.ttl, stored: result.stored, size, stream }, started, 'disk', size);
+        }
+
+        return this.finishGet(key, null, started, 'disk');
+    }
+
+    // Size of the data file a setStream() wrote next to the cache file, 0 when there is none
+
+    async dataSize (filepath) {
+
+        try {
+            return (await fs.lstat(internals.dataPath(filepath))).size;
+        } catch (e) {
+            return 0;
+        }
+    }
+
+    async readData (filepath) {
+
+        try {
+            return await fs.readFile(internals.dataPath(filepath));
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                throw new Boom(e);
+            }
+
+            return null;
+        }
+    }
+
+    async writeCacheFile (filepath, envelope, body, dataSize) {
+
+        try {
+            await mkdirp(Path.dirname(filepath));
+            await internals.writeFileAtomic(filepath, body, this.settings.durability);
+
+            if (this.settings.expiryIndex) {
+                await this.indexExpiry(filepath, envelope.stored + envelope.ttl);
+            }
+        } catch (e) {
+            throw new Boom(e);                          // nothing below may account for a file that wasn't written
+        }
+
+        // evict() runs once the caller let go of the key, it waits for the keys of its victims
+        if (this.hasBudget()) {
+            this.usage.track(filepath, Buffer.byteLength(body) + (dataSize || 0));
+        }
+    }
+
+    async drop (key) {
+
+        if (!this.isConnected) {
+            throw new Boom('Connection not started');
+        }
+
+        if (!this.isWritable('drop')) {
+            return;
+        }
+
+        // any expiry index entry is left in place, the cleaner skips it once the file is gone
+        const started  = Date.now();
+        const filepath = this.getStoragePathForKey(key);
+        await this.exclusive(filepath, async () => {
+
+            if (this.settings.collisions !== 'chain') {
+                return await this.remove(filepath);
+            }
+
+            for (const slot of this.chainPaths(filepath)) {
+                let header = null;
+                try {
+                    header = await internals.readHeader(slot, await fs.lstat(slot), this.serializer);
+                } catch (e) {
+                    if (e.code !== 'ENOENT') {
+                        throw new Boom(e);
+                    }
+                }
+
+                if (header && internals.sameKey(header.key, key)) {
+                    await this.remove(slot);
+                }
+            }
+        });
+
+        const duration = Date.now() - started;
+        this.metrics.count('drops');
+        this.metrics.observe('dropDuration', duration);
+        this.emit('drop', { key, duration });
+    }
+
+    // Cumulative counters and histograms since the connection was created, plus current sizes where known
+
+    stats () {
+
+        const stats = this.metrics.snapshot();
+        stats.gauges = {
+            memoryItems : this.memory ? this.memory.entries.size : null,
+            memoryBytes : this.memory ? this.memory.bytes : null,
+            diskEntries : this.hasBudget() ? this.usage.entries.size : null,    // only tracked with a budget
+            diskBytes   : this.hasBudget() ? this.usage.bytes : null
+        };
+
+        return stats;
+    }
+
+    prometheus (prefix) {
+
+        return Metrics.prometheus(this.stats(), prefix || 'catbox_disk');
+    }
+
+    segmentPath (segment) {
+
+        const error = this.validateSegmentName(segment);
+        if (error) {
+            throw new Boom(error);
+        }
+
+        // validated names can't leave the cache, this is the last line of defence should that ever change
+        const root = Path.resolve(this.rootPath);
+        const dir  = Path.resolve(root, segment);
+        if (dir.indexOf(root + Path.sep) !== 0) {
+            throw new Boom(`Segment "${segment}" is outside the cache directory`);
+        }
+
+        return dir;
+    }
+
+    async segmentFiles (dir) {
+
+        // only files exactly fanoutDepth hash directories down belong to the segment, and their names start
+        // with those directories; anything else is a segment named "<segment>/.."
+        const files = [];
+        const visit = async (current, level, prefix) => {
+
+            for (const name of await internals.readdirIfExists(current)) {
+                if (level === this.layout.depth) {
+                    if (this.layout.isCacheFile(name) && name.indexOf(prefix) === 0) {
+                        files.push(Path.join(current, name));
+                    }
+                } else if (this.layout.isHashDir(name)) {
+                    await visit(Path.join(current, name), level + 1, prefix + name);
+                }
+            }
+        };
+
+        await visit(dir, 0, '');
+        return files;
+    }
+
+    async dropSegment (segment) {
+
+        if (!this.isConnected) {
+            throw new Boom('Connection not started');
+        }
+
+        if (!this.isWritable('drop a segment')) {
+            return 0;
+        }
+
+        const started = Date.now();
+        const dir     = this.segmentPath(segment);
+        const files   = await this.segmentFiles(dir);
+        const pruned  = { directories: 0 };
+
+        // each removal is ordered with the set()s and drop()s of its key, as drop() is
+        for (const filepath of files) {
+            await this.exclusive(this.primaryPath(filepath), async () => {
+
+                await this.remove(filepath);
+                await this.pruneHashDirs(Path.dirname(filepath), pruned);
+            });
+        }
+
+        try {
+            await fs.rmdir(dir);
+        } catch (e) {}                                  // still holds other files or nested segments
+
+        const duration = Date.now() - started;
+        this.metrics.count('drops', files.length);
+        this.metrics.observe('dropDuration', duration);
+        this.emit('dropSegment', { segment, count: files.length, duration });
+        return files.length;
+    }
+
+    listKeys (segment) {
+
+        if (!this.isConnected) {
+            throw new Boom('Connection not started');
+        }
+
+        const dir = this.segmentPath(segment);
+        const now = Date.now();
+        let files = null;
+
+        // yields the ids of the segment's unexpired entries, reading only the header of each file
+        const next = async () => {
+
+            files = files || await this.segmentFiles(dir);
+            while (files.length) {
+                const filepath = files.shift();
+                try {
+                    const header = await internals.readHeader(filepath, await fs.lstat(filepath), this.serializer);
+                    if (header && header.key && header.key.segment === segment && header.stored + header.ttl > now) {
+                        return { value: header.key.id, done: false };
+                    }
+                } catch (e) {}                          // removed while listing
+            }
+
+            return { value: undefined, done: true };
+        };
+
+        return {
+            next,
+            [Symbol.asyncIterator] () {
+
+                return this;
+            }
+        };
+    }
+
+    async segmentStats (segment) {
+
+        if (!this.isConnected) {
+            throw new Boom('Connection not started');
+        }
+
+        const stats = { entries: 0, expired: 0, bytes: 0, oldest: null, newest: null };
+        const now   = Date.now();
+
+        for (const filepath of await this.segmentFiles(this.segmentPath(segment))) {
+            let fileStat;
+            try {
+                fileStat = await fs.lstat(filepath);
+            } catch (e) {
+                continue;
+            }
+
+            ++stats.entries;
+            stats.bytes += fileStat.size + await this.dataSize(filepath);
+
+            const header = await internals.readHeader(filepath, fileStat, this.serializer);
+            if (!header) {
+                continue;
+            }
+
+            if (header.stored + header.ttl <= now) {
+                ++stats.expired;
+            }
+
+            stats.oldest = stats.oldest === null ? header.stored : Math.min(stats.oldest, header.stored);
+            stats.newest = stats.newest === null ? header.stored : Math.max(stats.newest, header.stored);
+        }
+
+        return stats;
+    }
+
+    // Sweeps the whole tree like the cleaner, also removing files left in cachePath by testDiskAccess, then
+    // rebuilds the disk usage and optionally fills the memory tier with the most recently used entries
+
+    async scan (options) {
+
+        Hoek.assert(!this.settings.readOnly, 'Cannot scan a read-only cache');
+
+        const started  = Date.now();
+        const deadline = options.timeBudget ? started + options.timeBudget : 0;
+        const summary  = { scanned: 0, expired: 0, tempFiles: 0, directories: 0, buckets: 0, quarantined: 0, bytesFreed: 0, errors: 0, preloaded: 0, duration: 0, complete: true, skipped: false };
+
+        let lock = null;
+        if (this.settings.locking) {
+            lock = await Lock.tryAcquire(Path.join(this.rootPath, internals.cleanerLock), { stale: this.settings.lockStale });
+            if (!lock) {
+                summary.skipped = true;                 // another process is sweeping the same tree
+                summary.complete = false;
+                this.emit('scan', summary);
+                return summary;
+            }
+        }
+
+        const found = [];
+        const data  = new Map();
+        try {
+            for (const name of await internals.readdirIfExists(this.settings.cachePath)) {
+                const filepath = Path.join(this.settings.cachePath, name);
+                try {
+                    const fileStat = await fs.lstat(filepath);
+                    if (internals.testFileRegex.test(name) && started - fileStat.mtime.getTime() >= internals.tempFileMaxAge) {
+                        await this.removeSwept(filepath, fileStat, summary);
+                        ++summary.tempFiles;
+                    }
+                } catch (e) {
+                    if (e.code !== 'ENOENT') {
+                        ++summary.errors;
+                    }
+                }
+            }
+
+            await this.sweepTree(summary, started, {
+                deadline,
+                onEntry: (filepath, fileStat) => {
+
+                    found.push({ filepath, size: fileStat.size, atime: fileStat.atime.getTime() });
+                    if (found.length % internals.scanProgress === 0) {
+                        this.emit('scanProgress', Object.assign({}, summary));
+                    }
+                },
+                onData: (filepath, fileStat) => data.set(filepath, fileStat.size)
+            });
+        } finally {
+            if (lock) {
+                await lock.release();
+            }
+        }
+
+        // a partial count would let the budget be exceeded, start() walks the tree again instead
+        if (this.hasBudget() && summary.complete) {
+            await this.trackUsage(found, data);
+        }
+
+        found.sort((a, b) => a.atime - b.atime);
+
+        if (this.memory && options.preload) {
+
+            // read most recent first, so the time budget cuts off the coldest, then set oldest first
+            // so the memory tier evicts in the same order a later get() would have left it in
+            const preload = Math.min(options.preload, this.memory.maxItems || Infinity);
+            const loaded  = [];
+            for (const entry of found.slice(-preload).reverse()) {
+                if (deadline && Date.now() >= deadline) {
+                    summary.complete = false;
+                    break;
+                }
+
+                // streamed items stay on disk, as in lookup()
+                const result = await this.readCacheFile(entry.filepath);
+                if (result && !result.stream) {
+                    loaded.push({ filepath: entry.filepath, result });
+                }
+            }
+
+            for (const { filepath, result } of loaded.reverse()) {
+                this.memory.set(filepath, { key: result.key, item: result.item, stored: result.stored, expires: Date.now() + result.ttl });
+                ++summary.preloaded;
+            }
+        }
+
+        summary.duration = Date.now() - started;
+        this.emit('scan', summary);
+        return summary;
+    }
+
+    // Writes every live entry, or those of the given segments, to a stream as newline delimited JSON:
+    // a header line, then one { key, stored, ttl, item } line per entry. Buffer items are base64 encoded.
+
+    async exportSnapshot (stream, options) {
+
+        if (!this.isConnected) {
+            throw new Boom('Connection not started');
+        }
+
+        options = options || {};
+
+        let files = [];
+        if (options.segments) {
+            for (const segment of options.segments) {
+                files = files.concat(await this.segmentFiles(this.segmentPath(segment)));
+            }
+        } else {
+            await internals.walk(this.rootPath, {
+                onFile: (filepath) => {
+
+                    if (this.layout.isCacheFile(Path.basename(filepath))) {
+                        files.push(filepath);
+                    }
+                }
+            });
+        }
+
+        const created = Date.now();
+        await internals.writeTo(stream, JSON.stringify({ format: internals.snapshotFormat, version: 1, created }) + '\n');
+
+        let entries = 0;
+        for (const filepath of files) {
+            const result = await this.readCacheFile(filepath);
+            if (result && result.stream) {
+                result.item = await this.readData(filepath);
+            }
+
+            if (!result || (result.stream && !result.item)) {
+                continue;
+            }
+
+            const entry = { key: result.key, stored: result.stored, ttl: result.expires - result.stored, tags: result.tags, item: result.item };
+            if (Buffer.isBuffer(entry.item)) {
+                entry.item     = entry.item.toString('base64');
+                entry.encoding = 'base64';
+            }
+
+            await internals.writeTo(stream, JSON.stringify(entry) + '\n');
+            ++entries;
+        }
+
+        return { entries, created };
+    }
+
+    // Restores the entries of an exportSnapshot() stream. Entries keep their expiry time, or with rebaseTtl,
+    // the time they had left when the snapshot was taken. Those already expired are skipped.
+
+    async importSnapshot (stream, options) {
+
+        if (!this.isConnected) {
+            throw new Boom('Connection not started');
+        }
+
+        options = options || {};
+
+        const summary = { imported: 0, existing: 0, expired: 0 };
+        if (!this.isWritable('import a snapshot')) {
+            return summary;
+        }
+
+        let header = null;
+        await internals.readLines(stream, async (line) => {
+
+            const entry = JSON.parse(line);
+            if (!header) {
+                if (entry.format !== internals.snapshotFormat || entry.version !== 1) {
+                    throw new Boom('Not a catbox-disk snapshot');
+                }
+
+                header = entry;
+                return;
+            }
+
+            const now    = Date.now();
+            const stored = options.rebaseTtl ? entry.stored + now - header.created : entry.stored;
+            if (stored + entry.ttl <= now) {
+                ++summary.expired;
+                return;
+            }
+
+            if (!options.overwrite && await this.peek(entry.key)) {
+                ++summary.existing;
+                return;
+            }
+
+            const item = entry.encoding === 'base64' ? Buffer.from(entry.item, 'base64') : entry.item;
+            await this.store(entry.key, item, entry.ttl, stored, entry.tags);
+            ++summary.imported;
+        });
+
+        if (!header) {
+            throw new Boom('Not a catbox-disk snapshot');
+        }
+
+        return summary;
+    }
+
+    // Whether a live entry exists for the key, without counting it as a hit or a miss
+
+    async peek (key) {
+
+        for (const slot of this.chainPaths(this.getStoragePathForKey(key))) {
+            if (await this.readCacheFile(slot, key)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    // Reads every cache file, verifying checksums, without changing anything. onEntry gets
+    // { filepath, size, status, key, stored, expires, error } for each, status being 'valid', 'expired' or 'corrupt'.
+
+    async inspect (onEntry) {
+
+        let count = 0;
+        await internals.walk(this.rootPath, {
+            onFile: async (filepath) => {
+
+                if (!this.layout.isCacheFile(Path.basename(filepath))) {
+                    return;
+                }
+
+                const parsed = await this.parseCacheFile(filepath, true);
+                if (!parsed) {
+                    return;                             // removed while walking
+                }
+
+                const entry = { filepath, size: parsed.size };
+                if (parsed.error) {
+                    entry.status = 'corrupt';
+                    entry.error  = parsed.error.message;
+                } else {
+                    entry.key     = parsed.envelope.key;
+                    entry.stored  = parsed.envelope.stored;
+                    entry.expires = parsed.envelope.stored + parsed.envelope.ttl;
+                    entry.status  = entry.expires <= Date.now() ? 'expired' : 'valid';
+                }
+
+                ++count;
+                await onEntry(entry);
+            }
+        });
+
+        return count;
+    }
+
+    cacheCleanerInit () {
+
+        clearTimeout(this.cacheCleanerTimeout);
+
+        // early exit if we don't want automated cleanup
+        if (this.settings.cleanEvery === 0 || this.settings.readOnly){
+            return;
+        }
+
+        const firstrun = Math.floor(Math.random() * (3000 - 200) + 200);
+        const runCleaner = async () => {
+
+            try {
+                await this.clean();
+            } catch (e) {}                              // a failed sweep is retried on the next run
+
+            if (this.cacheCleanerTimeout !== null) {
+                this.cacheCleanerTimeout = setTimeout(runCleaner, this.settings.cleanEvery);
+            }
+        };
+
+        this.cacheCleanerTimeout = setTimeout(runCleaner, firstrun);
+    }
+
+    clean (options) {
+
+        options = options || {};
+        if (options.dryRun) {
+            return this.sweep(options);                 // changes nothing, so it can't share a real sweep
+        }
+
+        if (this.settings.readOnly) {
+            return Promise.reject(new Boom('Cannot clean a read-only cache'));
+        }
+
+        // concurrent requests share the sweep already in progress
+        if (!this.cleaning) {
+            this.cleaning = this.sweep(options);
+            const done = () => {
+
+                this.cleaning = null;
+            };
+
+            this.cleaning.then(done, done);
+        }
+
+        return this.cleaning;
+    }
+
+    async sweep (options) {
+
+        const started = Date.now();
+        const summary = { scanned: 0, expired: 0, tempFiles: 0, directories: 0, buckets: 0, quarantined: 0, tags: 0, bytesFreed: 0, errors: 0, duration: 0, skipped: false, dryRun: !!options.dryRun };
+
+        // only one process sweeps a cachePath at a time, the others skip their turn
+        let lock = null;
+        if (this.settings.locking && !summary.dryRun) {
+            await mkdirp(this.rootPath);
+            lock = await Lock.tryAcquire(Path.join(this.rootPath, internals.cleanerLock), { stale: this.settings.lockStale });
+            if (!lock) {
+                summary.skipped = true;
+                this.emit('cleanup', summary);
+                return summary;
+            }
+        }
+
+        try {
+            await this.sweepFiles(summary, started, options);
+        } finally {
+            if (lock) {
+                await lock.release();
+            }
+        }
+
+        summary.duration = Date.now() - started;
+        if (!summary.dryRun) {
+            this.metrics.count('cleanups');
+            this.metrics.count('bytesCleaned', summary.bytesFreed);
+            this.metrics.observe('cleanupDuration', summary.duration);
+        }
+
+        this.emit('cleanup', summary);
+        return summary;
+    }
+
+    async sweepFiles (summary, started, options) {
+
+        const useIndex = this.settings.expiryIndex && !options.full && !summary.dryRun && await this.indexIsCurrent();
+
+        if (useIndex) {
+            await this.sweepIndex(summary);
+        } else {
+            await this.sweepTree(summary, started, {});
+            await this.pruneTags(summary);
+        }
+
+        await this.pruneQuarantine(summary, started);
+    }
+
+    // The index only knows about expiring files, so every fullSweepEvery the tree is walked for leftover temp,
+    // lock and data files and tag markers. The index marker is rewritten by each walk.
+
+    async indexIsCurrent () {
+
+        let markerStat = null;
+        try {
+            markerStat = await fs.stat(Path.join(this.indexPath(), internals.indexMarker));
+        } catch (e) {
+            return false;
+        }
+
+        return !this.settings.fullSweepEvery || Date.now() - markerStat.mtime.getTime() < this.settings.fullSweepEvery;
+    }
+
+    async pruneQuarantine (summary, started) {
+
+        for (const name of await internals.readdirIfExists(this.quarantinePath())) {
+            const filepath = Path.join(this.quarantinePath(), name);
+            try {
+                const fileStat = await fs.lstat(filepath);
+                if (started - fileStat.mtime.getTime() >= this.settings.quarantineMaxAge) {
+                    if (!summary.dryRun) {
+                        await internals.Unlink(filepath);
+                    }
+
+                    summary.bytesFreed += fileStat.size;
+                    ++summary.quarantined;
+                }
+            } catch (e) {
+                if (e.code !== 'ENOENT') {
+                    ++summary.errors;
+                }
+            }
+        }
+    }
+
+    // options.deadline stops the walk early, marking the summary incomplete; options.onEntry gets every cache file left in place
+
+    async sweepTree (summary, started, options) {
+
+        // a missing index is rebuilt from the files found along the way
+        const reindex = this.settings.expiryIndex && !summary.dryRun &&
+            !(await internals.exists(Path.join(this.indexPath(), internals.indexMarker)));
+
+        const stop = () => {
+
+            if (options.deadline && Date.now() >= options.deadline) {
+                summary.complete = false;
+            }
+
+            return summary.complete === false;
+        };
+
+        await internals.walk(this.rootPath, {
+            concurrency: this.settings.cleanConcurrency,
+            stop,
+            onFile: async (filepath, fileStat) => {
+
+                const name = Path.basename(filepath);
+                try {
+                    // reap temp files left behind by writes that never completed
+                    if (this.layout.isTempFile(name)) {
+                        if (started - fileStat.mtime.getTime() >= internals.tempFileMaxAge) {
+                            await this.removeSwept(filepath, fileStat, summary);
+                            ++summary.tempFiles;
+                        }
+
+                        return;
+                    }
+
+                    // and lock files of processes that died while holding them
+                    if (this.settings.locking && internals.isLockFile(name)) {
+                        const broken = summary.dryRun ?
+                            await Lock.isStale(filepath, this.settings.lockStale) :
+                            await Lock.breakIfStale(filepath, this.settings.lockStale);
+
+                        if (broken) {
+                            summary.bytesFreed += fileStat.size;
+                            ++summary.tempFiles;
+                        }
+
+                        return;
+                    }
+
+                    // and data files whose header is gone
+                    if (this.layout.isDataFile(name)) {
+                        if (started - fileStat.mtime.getTime() >= internals.tempFileMaxAge &&
+                            !(await internals.exists(filepath.replace(/\.data$/, '.json')))) {
+
+                            await this.removeSwept(filepath, fileStat, summary);
+                            ++summary.tempFiles;
+                        } else if (options.onData) {
+                            options.onData(filepath, fileStat);
+                        }
+
+                        return;
+                    }
+
+                    // only examine files matching the cache naming convention, ignore all others
+                    if (!this.layout.isCacheFile(name)) {
+                        return;
+                    }
+
+                    ++summary.scanned;
+                    const expires = await internals.readExpiry(filepath, fileStat, this.serializer);
+                    if (this.isRemovable(expires) && await this.sweepExpired(filepath, fileStat, summary)) {
+                        ++summary.expired;
+                    } else {
+                        if (expires !== null && reindex) {
+                            await this.indexExpiry(filepath, expires);
+                        }
+
+                        if (options.onEntry) {
+                            await options.onEntry(filepath, fileStat);
+                        }
+                    }
+                } catch (e) {
+                    if (e.code !== 'ENOENT') {
+                        ++summary.errors;
+                    }
+                }
+            },
+            onDirectory: async (dirpath) => {
+
+                if (summary.dryRun || !this.layout.isHashDir(Path.basename(dirpath))) {
+                    return;                             // a dry run can't tell which directories would end up empty
+                }
+
+                try {
+                    await fs.rmdir(dirpath);
+                    ++summary.directories;
+                } catch (e) {}                          // not empty, or refilled by a concurrent set()
+            }
+        });
+
+        if (this.settings.expiryIndex && !summary.dryRun && !stop()) {
+            await mkdirp(this.indexPath());
+            await fs.writeFile(Path.join(this.indexPath(), internals.indexMarker), new Date().toISOString());
+        }
+    }
+
+    async sweepIndex (summary) {
+
+        // only buckets whose whole minute has passed; set() can't add to those anymore
+        const current = Math.floor(Date.now() / internals.bucketSize);
+        const buckets = (await fs.readdir(this.indexPath()))
+            .filter((name) => /^\d+\.log$/.test(name) && parseInt(name, 10) < current)
+            .sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
+
+        const limit = internals.limiter(this.settings.cleanConcurrency);
+        for (const bucket of buckets) {
+            const bucketpath = Path.join(this.indexPath(), bucket);
+            const lines      = (await fs.readFile(bucketpath, 'utf8')).split('\n');
+
+            await Promise.all(Array.from(new Set(lines)).map((relpath) => {
+
+                return limit(async () => {
+
+                    const filepath = Path.join(this.rootPath, relpath);
+                    if (!this.layout.isCacheFile(Path.basename(filepath)) || Path.relative(this.rootPath, filepath) !== relpath) {
+                        return;                         // blank or tampered line
+                    }
+
+                    try {
+                        const fileStat = await fs.lstat(filepath);
+                        ++summary.scanned;
+
+                        // the file may have been rewritten since, with its new expiry in a later bucket
+                        const expires = await internals.readExpiry(filepath, fileStat, this.serializer);
+                        if (this.isRemovable(expires) && await this.sweepExpired(filepath, fileStat, summary)) {
+                            await this.pruneHashDirs(Path.dirname(filepath), summary);
+                            ++summary.expired;
+                        }
+                    } catch (e) {
+                        if (e.code !== 'ENOENT') {
+                            ++summary.errors;
+                        }
+                    }
+                });
+            }));
+
+            await internals.Unlink(bucketpath);
+            ++summary.buckets;
+        }
+    }
+
+    // Resolves to whether the expired file was removed; the check is repeated under the key's lock so a concurrent
+    // set() keeps its fresh file
+
+    async sweepExpired (filepath, fileStat, summary) {
+
+        const size = summary.dryRun ? fileStat.size : await this.dropExpired(filepath);
+        if (size === null) {
+            return false;
+        }
+
+        summary.bytesFreed += size;
+        return true;
+    }
+
+    async removeSwept (filepath, fileStat, summary) {
+
+        if (!summary.dryRun) {
+            await this.remove(filepath);
+        }
+
+        summary.bytesFreed += fileStat.size;
+    }
+
+    async pruneHashDirs (dirpath, summary) {
+
+        while (dirpath !== this.rootPath && this.layout.isHashDir(Path.basename(dirpath))) {
+            try {
+                await fs.rmdir(dirpath);
+                ++summary.directories;
+            } catch (e) {
+                return;                                 // not empty
+            }
+
+            dirpath = Path.dirname(dirpath);
+        }
+    }
+
+    indexPath () {
+
+        return Path.join(this.rootPath, internals.indexDir);
+    }
+
+    tagIndexPath (tag) {
+
+        const dir = Path.join(this.rootPath, internals.tagDir);
+        return tag === undefined ? dir : Path.join(dir, internals.digest(tag));
+    }
+
+    // A marker is named after the digest of the tagged file's path, and holds that path
+
+    markerPath (tag, filepath) {
+
+        return Path.join(this.tagIndexPath(tag), internals.digest(Path.relative(this.rootPath, filepath)));
+    }
+
+    async readTags (filepath) {
+
+        if (!this.tagged) {
+            return [];
+        }
+
+        try {
+            const header = await internals.readHeader(filepath, await fs.lstat(filepath), this.serializer);
+            return header ? header.tags : [];
+        } catch (e) {
+            return [];                                  // gone, or unreadable and left to the cleaner
+        }
+    }
+
+    // Moves a file that was just written from the tags it had before to its new ones
+
+    async retag (filepath, tags, previous) {
+
+        const relpath = Path.relative(this.rootPath, filepath);
+        for (const tag of tags) {
+            if (previous.indexOf(tag) === -1) {
+                await mkdirp(this.tagIndexPath(tag));
+                await fs.writeFile(this.markerPath(tag, filepath), relpath);
+                this.tagged = true;
+            }
+        }
+
+        await this.untag(filepath, previous.filter((tag) => tags.indexOf(tag) === -1));
+    }
+
+    async untag (filepath, tags) {
+
+        for (const tag of tags) {
+            await internals.Unlink(this.markerPath(tag, filepath));
+            try {
+                await fs.rmdir(this.tagIndexPath(tag));
+            } catch (e) {}                              // other files still carry the tag
+        }
+    }
+
+    // Resolves to the { filepath, marker } of each file indexed in a tag's directory, skipping tampered markers
+
+    async taggedFiles (dir) {
+
+        const files = [];
+        for (const name of await internals.readdirIfExists(dir)) {
+            this.tagged = true;                         // another process may have tagged entries since start()
+
+            const marker = Path.join(dir, name);
+            try {
+                const relpath  = await fs.readFile(marker, 'utf8');
+                const filepath = Path.join(this.rootPath, relpath);
+                if (this.layout.isCacheFile(Path.basename(filepath)) && Path.relative(this.rootPath, filepath) === relpath) {
+                    files.push({ filepath, marker });
+                }
+            } catch (e) {}                              // removed since the directory was read
+        }
+
+        return files;
+    }
+
+    // Removes every entry set with the tag, in any segment, resolving to how many were removed
+
+    async dropByTag (tag) {
+
+        if (!this.isConnected) {
+            throw new Boom('Connection not started');
+        }
+
+        internals.validateTags([tag]);
+        if (!this.isWritable('drop by tag')) {
+            return 0;
+        }
+
+        const started = Date.now();
+        const dir     = this.tagIndexPath(tag);
+        const pruned  = { directories: 0 };
+        let count     = 0;
+
+        for (const { filepath, marker } of await this.taggedFiles(dir)) {
+
+            // markers outlive files removed or retagged by another process, so the file has the final say
+            await this.exclusive(this.primaryPath(filepath), async () => {
+
+                if ((await this.readTags(filepath)).indexOf(tag) !== -1) {
+                    await this.remove(filepath);
+                    await this.pruneHashDirs(Path.dirname(filepath), pruned);
+                    ++count;
+                }
+            });
+
+            await internals.Unlink(marker);
+        }
+
+        try {
+            await fs.rmdir(dir);
+        } catch (e) {}                                  // tagged again in the meantime
+
+        const duration = Date.now() - started;
+        this.metrics.count('drops', count);
+        this.metrics.observe('dropDuration', duration);
+        this.emit('dropTag', { tag, count, duration });
+        return count;
+    }
+
+    // Removes markers left behind by files that are gone or no longer carry the tag, e.g. after a crash
+
+    async pruneTags (summary) {
+
+        const root = this.tagIndexPath();
+        for (const name of await internals.readdirIfExists(root)) {
+            const dir = Path.join(root, name);
+            for (const { filepath, marker } of await this.taggedFiles(dir)) {
+                const tags = await this.readTags(filepath);
+                if (!tags.some((tag) => internals.digest(tag) === name)) {
+                    if (!summary.dryRun) {
+                        await internals.Unlink(marker);
+                    }
+
+                    ++summary.tags;
+                }
+            }
+
+            if (!summary.dryRun) {
+                try {
+                    await fs.rmdir(dir);
+                } catch (e) {}                          // still in use
+            }
+        }
+    }
+
+    async indexExpiry (filepath, expires) {
+
+        // bucketed by when the file may go, after its grace period
+        const bucketpath = Path.join(this.indexPath(), `${Math.floor((expires + this.settings.staleGrace) / internals.bucketSize)}.log`);
+        const line       = Path.relative(this.rootPath, filepath) + '\n';
+
+        try {
+            await fs.appendFile(bucketpath, line);
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                throw e;
+            }
+
+            await mkdirp(this.indexPath());
+            await fs.appendFile(bucketpath, line);
+        }
     }
 }
@@ -0,0 +1,128 @@
+'use strict';
+
+// Load modules
+const Crypto = require('crypto');
+const Hoek   = require('hoek');
+
+// Declare internals
+const internals = {
+    version: 1
+};
+
+
+// Non-cryptographic 64 bit hash: two FNV-1a lanes with different primes, each finished with the murmur3 mixer
+
+internals.mix = (hash) => {
+
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+};
+
+internals.fast = (value) => {
+
+    const bytes = Buffer.from(value, 'utf8');
+    let lane1   = 0x811c9dc5;
+    let lane2   = 0x050c5d1f;
+
+    for (let i = 0; i < bytes.length; ++i) {
+        lane1 = Math.imul(lane1 ^ bytes[i], 0x01000193);
+        lane2 = Math.imul(lane2 ^ bytes[i], 0x5bd1e995);
+    }
+
+    const hex = (lane) => ('0000000' + internals.mix(lane).toString(16)).slice(-8);
+    return hex(lane1) + hex(lane2);
+};
+
+internals.hashes = {
+    md5    : { length: 32, digest: (value) => Crypto.createHash('md5').update(value).digest('hex') },
+    sha1   : { length: 40, digest: (value) => Crypto.createHash('sha1').update(value).digest('hex') },
+    sha256 : { length: 64, digest: (value) => Crypto.createHash('sha256').update(value).digest('hex') },
+    fast   : { length: 16, digest: internals.fast }
+};
+
+
+// Where a key's file lives: the hash of its id names the file, and its leading characters the directories above it
+
+exports.Layout = class {
+
+    constructor (options) {
+
+        const hash = internals.hashes[options.hash];
+        Hoek.assert(hash, `hash must be one of ${Object.keys(internals.hashes).join(', ')}`);
+        Hoek.assert(options.fanoutDepth === parseInt(options.fanoutDepth, 10) && options.fanoutDepth >= 0, 'fanoutDepth is not a non-negative integer');
+        Hoek.assert(options.fanoutWidth === parseInt(options.fanoutWidth, 10) && options.fanoutWidth > 0, 'fanoutWidth is not a positive integer');
+        Hoek.assert(options.fanoutDepth * options.fanoutWidth <= hash.length, `fanout uses more than the ${hash.length} characters of a ${options.hash} hash`);
+
+        this.hash   = options.hash;
+        this.depth  = options.fanoutDepth;
+        this.width  = options.fanoutWidth;
+        this.digest = hash.digest;
+
+        // <hash>.<n>.json are further links of a collision chain, <hash>.data holds the payload of a setStream()
+        this.fileRegex = new RegExp(`^[a-f0-9]{${hash.length}}(\\.\\d+)?\\.json$`);
+        this.dataRegex = new RegExp(`^[a-f0-9]{${hash.length}}(\\.\\d+)?\\.data$`);
+        this.tempRegex = new RegExp(`^[a-f0-9]{${hash.length}}(\\.\\d+)?\\.(json|data)\\.\\d+\\.[a-z0-9]+\\.tmp$`);
+        this.dirRegex  = new RegExp(`^[a-f0-9]{${this.width}}$`);
+    }
+
+    // Directory names below the segment, then the file name
+
+    path (id) {
+
+        const hash  = this.digest(id);
+        const parts = [];
+        for (let i = 0; i < this.depth; ++i) {
+            parts.push(hash.substr(i * this.width, this.width));
+        }
+
+        parts.push(hash + '.json');
+        return parts;
+    }
+
+    isCacheFile (filename) {
+
+        return this.fileRegex.test(filename);
+    }
+
+    isDataFile (filename) {
+
+        return this.dataRegex.test(filename);
+    }
+
+    isTempFile (filename) {
+
+        return this.tempRegex.test(filename);
+    }
+
+    isHashDir (dirname) {
+
+        return this.dirRegex.test(dirname);
+    }
+
+    describe () {
+
+        return { version: internals.version, hash: this.hash, fanoutDepth: this.depth, fanoutWidth: this.width };
+    }
+
+    // Returns a description of how a stored descriptor differs from this layout, or null when they match
+
+    compare (descriptor) {
+
+        const expected = this.describe();
+        const changed  = Object.keys(expected).filter((name) => descriptor[name] !== expected[name]);
+        if (!changed.length) {
+            return null;
+        }
+
+        return changed.map((name) => `${name} is ${JSON.stringify(descriptor[name])} on disk but ${JSON.stringify(expected[name])} in settings`).join(', ');
+    }
+};
+
+
+// The layout of caches written before layouts were configurable
+
+exports.defaults = { hash: 'md5', fanoutDepth: 2, fanoutWidth: 2 };
@@ -0,0 +1,202 @@
+'use strict';
+
+// Load modules
+const Fs     = require('fs');
+const Os     = require('os');
+const Util   = require('util');
+const Crypto = require('crypto');
+const Boom   = require('boom');
+
+// Declare internals
+const internals = {};
+const fs = {
+    writeFile: Util.promisify(Fs.writeFile),
+    readFile: Util.promisify(Fs.readFile),
+    rename: Util.promisify(Fs.rename),
+    link: Util.promisify(Fs.link),
+    unlink: Util.promisify(Fs.unlink),
+    stat: Util.promisify(Fs.stat),
+    utimes: Util.promisify(Fs.utimes)
+};
+
+
+internals.isAlive = (pid) => {
+
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (e) {
+        return e.code === 'EPERM';              // exists, but belongs to someone else
+    }
+};
+
+internals.readOwner = async (lockpath) => {
+
+    try {
+        return JSON.parse(await fs.readFile(lockpath, 'utf8'));
+    } catch (e) {
+        return null;                            // gone, or still being written
+    }
+};
+
+internals.readRaw = async (lockpath) => {
+
+    try {
+        return await fs.readFile(lockpath, 'utf8');
+    } catch (e) {
+        return null;
+    }
+};
+
+internals.unlink = async (lockpath) => {
+
+    try {
+        await fs.unlink(lockpath);
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            throw e;
+        }
+    }
+};
+
+
+// Removes the lock only if it still has the contents it was judged stale with. It is renamed aside first, so when
+// another process broke it and locked again in the meantime, that fresh lock is put back rather than removed.
+// Resolves to whether this call removed it.
+
+exports.breakStale = async (lockpath, judged) => {
+
+    const aside = `${lockpath}.${Crypto.randomBytes(4).toString('hex')}.stale`;
+    try {
+        await fs.rename(lockpath, aside);
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            throw e;
+        }
+
+        return false;                           // broken by someone else already
+    }
+
+    const removed = await internals.readRaw(aside) === judged;
+    if (!removed) {
+        try {
+            await fs.link(aside, lockpath);
+        } catch (e) {}                          // yet another lock took its place
+    }
+
+    await internals.unlink(aside);
+    return removed;
+};
+
+
+// For the cleaner: removes the lock if it is stale, without racing a process that breaks and takes it meanwhile
+
+exports.breakIfStale = async (lockpath, stale) => {
+
+    const judged = await internals.readRaw(lockpath);
+    if (judged === null || !(await exports.isStale(lockpath, stale))) {
+        return false;
+    }
+
+    return await exports.breakStale(lockpath, judged);
+};
+
+
+// A lock is stale once its owner on this host has died, or it hasn't been refreshed for `stale` ms
+
+exports.isStale = async (lockpath, stale) => {
+
+    let stat;
+    try {
+        stat = await fs.stat(lockpath);
+    } catch (e) {
+        return false;
+    }
+
+    if (Date.now() - stat.mtime.getTime() > stale) {
+        return true;
+    }
+
+    const owner = await internals.readOwner(lockpath);
+    return !!owner && owner.hostname === Os.hostname() && !internals.isAlive(owner.pid);
+};
+
+
+internals.Lock = class {
+
+    constructor (lockpath, token, stale) {
+
+        this.lockpath = lockpath;
+        this.token    = token;
+
+        // keep the lock fresh while it is held, however long that takes
+        this.heartbeat = setInterval(() => {
+
+            const now = new Date();
+            fs.utimes(lockpath, now, now).catch(() => {});
+        }, Math.max(Math.floor(stale / 2), 1));
+
+        this.heartbeat.unref();
+    }
+
+    async release () {
+
+        clearInterval(this.heartbeat);
+
+        // only remove the lock if it is still ours and wasn't broken as stale in the meantime
+        const owner = await internals.readOwner(this.lockpath);
+        if (owner && owner.id === this.token.id) {
+            await internals.unlink(this.lockpath);
+        }
+    }
+};
+
+
+// Resolves to a held lock, or null when another live owner holds it
+
+exports.tryAcquire = async (lockpath, options, isRetry) => {
+
+    const token = {
+        id       : Crypto.randomBytes(8).toString('hex'),
+        pid      : process.pid,
+        hostname : Os.hostname(),
+        acquired : Date.now()
+    };
+
+    try {
+        await fs.writeFile(lockpath, JSON.stringify(token), { flag: 'wx' });
+    } catch (e) {
+        if (e.code !== 'EEXIST') {
+            throw e;
+        }
+
+        const judged = await internals.readRaw(lockpath);
+        if (isRetry || judged === null || !(await exports.isStale(lockpath, options.stale))) {
+            return null;
+        }
+
+        await exports.breakStale(lockpath, judged);
+        return exports.tryAcquire(lockpath, options, true);
+    }
+
+    return new internals.Lock(lockpath, token, options.stale);
+};
+
+
+exports.acquire = async (lockpath, options) => {
+
+    const deadline = Date.now() + options.timeout;
+
+    while (true) {
+        const lock = await exports.tryAcquire(lockpath, options);
+        if (lock) {
+            return lock;
+        }
+
+        if (Date.now() >= deadline) {
+            throw new Boom(`Timed out waiting for lock "${lockpath}"`);
+        }
+
+        await new Promise((resolve) => setTimeout(resolve, 5 + Math.floor(Math.random() * 20)));
+    }
+};
@@ -0,0 +1,120 @@
+'use strict';
+
+// Declare internals
+const internals = {
+    durations : [1, 5, 10, 25, 50, 100, 250, 500, 1000, 5000],                     // ms
+    sizes     : [256, 1024, 4096, 16384, 65536, 262144, 1048576, 4194304]           // bytes
+};
+
+
+// Cumulative counts of observed values at or below each bucket's upper bound
+
+internals.Histogram = class {
+
+    constructor (bounds) {
+
+        this.bounds = bounds;
+        this.counts = bounds.map(() => 0);
+        this.sum    = 0;
+        this.count  = 0;
+    }
+
+    observe (value) {
+
+        for (let i = 0; i < this.bounds.length; ++i) {
+            if (value <= this.bounds[i]) {
+                ++this.counts[i];
+            }
+        }
+
+        this.sum += value;
+        ++this.count;
+    }
+
+    snapshot () {
+
+        return {
+            buckets : this.bounds.map((le, i) => ({ le, count: this.counts[i] })),
+            sum     : this.sum,
+            count   : this.count
+        };
+    }
+};
+
+
+exports.Metrics = class {
+
+    constructor () {
+
+        this.counters = {
+            hits: 0, memoryHits: 0, misses: 0, expired: 0, corrupt: 0, quarantined: 0, collisions: 0,
+            sets: 0, drops: 0, evictions: 0, cleanups: 0,
+            bytesRead: 0, bytesWritten: 0, bytesEvicted: 0, bytesCleaned: 0
+        };
+
+        this.histograms = {
+            getDuration     : new internals.Histogram(internals.durations),
+            setDuration     : new internals.Histogram(internals.durations),
+            dropDuration    : new internals.Histogram(internals.durations),
+            cleanupDuration : new internals.Histogram(internals.durations),
+            itemBytes       : new internals.Histogram(internals.sizes)
+        };
+    }
+
+    count (name, by) {
+
+        this.counters[name] += by === undefined ? 1 : by;
+    }
+
+    observe (name, value) {
+
+        this.histograms[name].observe(value);
+    }
+
+    snapshot () {
+
+        const histograms = {};
+        for (const name of Object.keys(this.histograms)) {
+            histograms[name] = this.histograms[name].snapshot();
+        }
+
+        return { counters: Object.assign({}, this.counters), histograms };
+    }
+};
+
+
+internals.snakeCase = (name) => name.replace(/[A-Z]/g, (letter) => '_' + letter.toLowerCase());
+
+
+// Renders a stats() result in the Prometheus text exposition format
+
+exports.prometheus = (stats, prefix) => {
+
+    const lines = [];
+
+    for (const name of Object.keys(stats.counters)) {
+        const metric = `${prefix}_${internals.snakeCase(name)}_total`;
+        lines.push(`# TYPE ${metric} counter`, `${metric} ${stats.counters[name]}`);
+    }
+
+    for (const name of Object.keys(stats.gauges)) {
+        if (stats.gauges[name] !== null) {
+            const metric = `${prefix}_${internals.snakeCase(name)}`;
+            lines.push(`# TYPE ${metric} gauge`, `${metric} ${stats.gauges[name]}`);
+        }
+    }
+
+    for (const name of Object.keys(stats.histograms)) {
+        const metric    = `${prefix}_${internals.snakeCase(name)}`;
+        const histogram = stats.histograms[name];
+
+        lines.push(`# TYPE ${metric} histogram`);
+        for (const bucket of histogram.buckets) {
+            lines.push(`${metric}_bucket{le="${bucket.le}"} ${bucket.count}`);
+        }
+
+        lines.push(`${metric}_bucket{le="+Inf"} ${histogram.count}`, `${metric}_sum ${histogram.sum}`, `${metric}_count ${histogram.count}`);
+    }
+
+    return lines.join('\n') + '\n';
+};
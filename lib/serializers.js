@@ -0,0 +1,156 @@
+'use strict';
+
+// Declare internals
+const internals = {
+    magic       : Buffer.from('CBDK'),
+    version     : 1,
+    prefixSize  : 10,                       // magic (4) + version (1) + payload type (1) + header length (4)
+    payloadJson   : 0,
+    payloadBuffer : 1
+};
+
+
+// Serializers turn a cache envelope ({ key, ttl, item, stored, expires }) into file contents and back.
+// detect() must recognize the serializer's own output so several formats can share one cache directory.
+// A compressed envelope also carries a codec, and its item is always a Buffer.
+// The optional readHeader() gets the first bytes of a file and returns { key, ttl, stored, tags } without the item,
+// or null when they are not enough.
+
+exports.json = {
+
+    name: 'json',
+
+    detect (data) {
+
+        return data[0] === 0x7b;             // '{'
+    },
+
+    readHeader (head) {
+
+        // ttl directly follows the key; stored follows ttl in files written since the cleaner reads headers, and
+        // tags follow stored in tagged entries. Quotes inside key strings are escaped, so the first '},"ttl":' really ends the key.
+        const text  = head.toString('utf8');
+        const match = text.match(/^\{"key":(\{.*?\}),"ttl":(\d+)(?:,"stored":(\d+)(?:,"tags":(\[(?:"(?:[^"\\]|\\.)*",?)*\]))?)?/);
+        if (!match) {
+            return null;
+        }
+
+        const header = { key: JSON.parse(match[1]), ttl: Number(match[2]), stored: match[3] === undefined ? undefined : Number(match[3]) };
+        if (match[4] !== undefined) {
+            header.tags = JSON.parse(match[4]);
+        } else if (text.substr(match[0].length, 8) === ',"tags":') {
+            return null;                                // tags run past the head
+        }
+
+        return header;
+    },
+
+    serialize (envelope) {
+
+        if (envelope.codec) {
+            envelope = Object.assign({}, envelope, { item: envelope.item.toString('base64') });
+        }
+
+        return JSON.stringify(envelope);
+    },
+
+    deserialize (data) {
+
+        const envelope = JSON.parse(data.toString('utf8'));
+        if (envelope.codec) {
+            envelope.item = Buffer.from(envelope.item, 'base64');
+        }
+
+        return envelope;
+    }
+};
+
+
+// Binary layout: prefix, JSON header with everything but the item, then the raw payload bytes.
+// Buffers are stored as is, any other item as JSON.
+
+exports.binary = {
+
+    name: 'binary',
+
+    detect (data) {
+
+        return data.length >= internals.prefixSize && data.slice(0, internals.magic.length).equals(internals.magic);
+    },
+
+    readHeader (head) {
+
+        const headerEnd = internals.prefixSize + head.readUInt32BE(6);
+        if (headerEnd > head.length) {
+            return null;
+        }
+
+        return JSON.parse(head.slice(internals.prefixSize, headerEnd).toString('utf8'));
+    },
+
+    serialize (envelope) {
+
+        const header = Object.assign({}, envelope);
+        delete header.item;
+
+        const item     = envelope.item;
+        const isBuffer = Buffer.isBuffer(item);
+        const payload  = isBuffer ? item : Buffer.from(item === undefined ? 'null' : JSON.stringify(item));
+        const encoded  = Buffer.from(JSON.stringify(header));
+
+        const prefix = Buffer.alloc(internals.prefixSize);
+        internals.magic.copy(prefix);
+        prefix.writeUInt8(internals.version, 4);
+        prefix.writeUInt8(isBuffer ? internals.payloadBuffer : internals.payloadJson, 5);
+        prefix.writeUInt32BE(encoded.length, 6);
+
+        return Buffer.concat([prefix, encoded, payload]);
+    },
+
+    deserialize (data) {
+
+        const version = data.readUInt8(4);
+        if (version !== internals.version) {
+            throw new Error(`Unsupported binary format version ${version}`);
+        }
+
+        const type      = data.readUInt8(5);
+        const headerEnd = internals.prefixSize + data.readUInt32BE(6);
+        if (headerEnd > data.length) {
+            throw new Error('Truncated binary header');
+        }
+
+        const envelope = JSON.parse(data.slice(internals.prefixSize, headerEnd).toString('utf8'));
+        const payload  = data.slice(headerEnd);
+        envelope.item  = type === internals.payloadBuffer ? payload : JSON.parse(payload.toString('utf8'));
+
+        return envelope;
+    }
+};
+
+
+exports.resolve = (serializer) => {
+
+    if (typeof serializer === 'string') {
+        return exports[serializer] && exports[serializer].detect ? exports[serializer] : null;
+    }
+
+    const isValid = serializer && typeof serializer.detect === 'function' &&
+        typeof serializer.serialize === 'function' && typeof serializer.deserialize === 'function';
+
+    return isValid ? serializer : null;
+};
+
+
+// The configured serializer gets the first look at a file, then the built in ones
+
+exports.detect = (preferred, data) => {
+
+    for (const serializer of [preferred, exports.binary, exports.json]) {
+        if (serializer.detect(data)) {
+            return serializer;
+        }
+    }
+
+    return null;
+};
@@ -5,10 +5,14 @@ const Lab    = require('lab');
 const Code   = require('code');
 const Catbox = require('catbox');
 const Disk   = require('..');
+const Cli    = require('../lib/cli');
+const Lock   = require('../lib/lock');
 const Fs     = require('fs');
 const Path   = require('path');
+const Stream = require('stream');
 const Tmp    = require('tmp');
 const Util   = require('util');
+const Zlib   = require('zlib');
 
 // promisify
 const fs = {
@@ -18,7 +22,8 @@ const fs = {
     chmod: Util.promisify(Fs.chmod),
     stat: Util.promisify(Fs.stat),
     appendFile: Util.promisify(Fs.appendFile),
-    exists: Util.promisify(Fs.exists)
+    exists: Util.promisify(Fs.exists),
+    utimes: Util.promisify(Fs.utimes)
 };
 
 // Test shortcuts
@@ -31,6 +36,15 @@ const expect   = Code.expect;
 const tmpcachepath = Tmp.dirSync({ prefix: 'catbox_disk_tmp_', unsafeCleanup: true, mode: '0777' });
 const options = { cachePath: tmpcachepath.name, cleanEvery:0 };
 
+// a started connection to a cache directory of its own
+const startDisk = async (prefix, settings) => {
+
+    const dir  = Tmp.dirSync({ prefix: `catbox_disk_${prefix}_`, unsafeCleanup: true });
+    const disk = new Disk(Object.assign({ cachePath: dir.name, cleanEvery: 0 }, settings));
+    await disk.start();
+    return { dir, disk };
+};
+
 
 describe('Disk', () => {
 
@@ -172,6 +186,288 @@ describe('Disk', () => {
 
     });
 
+    describe('#createPath', () => {
+
+        it('explains a missing cachePath', async () => {
+
+            const disk = new Disk({ cachePath: Path.join(tmpcachepath.name, 'missing') });
+
+            let error = null;
+            try {
+                await disk.start();
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).to.be.instanceof(Error);
+            expect(error.message).to.contain('does not exist, create it or set createPath');
+            expect(disk.isReady()).to.equal(false);
+        });
+
+        it('creates a missing cachePath with the configured mode', async () => {
+
+            const cachePath = Path.join(tmpcachepath.name, 'created', 'nested');
+            const disk      = new Disk({ cachePath, createPath: true, pathMode: 0o750, cleanEvery: 0 });
+            await disk.start();
+
+            expect(disk.isReady()).to.equal(true);
+            expect((await fs.stat(cachePath)).mode & 0o777).to.equal(0o750 & ~process.umask());
+        });
+
+        it('throws an error with an invalid pathMode or minFreeBytes', (done) => {
+
+            expect(() => new Disk({ cachePath: tmpcachepath.name, pathMode: 'rw' })).to.throw(Error);
+            expect(() => new Disk({ cachePath: tmpcachepath.name, minFreeBytes: -1 })).to.throw(Error);
+            expect(() => new Disk({ cachePath: tmpcachepath.name, onLowSpace: 'panic' })).to.throw(Error);
+            done();
+        });
+
+        it('rejects writes when free space is low', { skip: !Fs.statfs }, async () => {
+
+            const disk     = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0, minFreeBytes: Number.MAX_SAFE_INTEGER });
+            const warnings = [];
+            disk.on('lowSpace', (warning) => warnings.push(warning));
+            await disk.start();
+
+            expect(warnings.length).to.equal(1);
+            expect(warnings[0].free).to.be.below(Number.MAX_SAFE_INTEGER);
+
+            let error = null;
+            try {
+                await disk.set({ segment: 'space', id: 'reject' }, 'value', 5000);
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).to.be.instanceof(Error);
+            expect(error.message).to.contain('bytes are free for the cache');
+        });
+
+        it('skips writes when free space is low in readOnly mode', { skip: !Fs.statfs }, async () => {
+
+            const disk = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0, minFreeBytes: Number.MAX_SAFE_INTEGER, onLowSpace: 'readOnly' });
+            await disk.start();
+
+            const key = { segment: 'space', id: 'skip' };
+            await disk.set(key, 'value', 5000);
+            expect(await disk.get(key)).to.not.exist();
+            expect(Fs.existsSync(disk.getStoragePathForKey(key))).to.equal(false);
+        });
+
+        it('throws an error with minFreeBytes where free space can\'t be checked', { skip: !!Fs.statfs }, (done) => {
+
+            expect(() => new Disk({ cachePath: tmpcachepath.name, minFreeBytes: 1 })).to.throw(Error, 'minFreeBytes needs fs.statfs, available in node >= 18.15');
+            done();
+        });
+    });
+
+    describe('#readOnly', () => {
+
+        const build = async () => {
+
+            const { dir, disk } = await startDisk('readonly');
+
+            await disk.set({ segment: 'shipped', id: 'fresh' }, 'fresh', 5000);
+            await disk.set({ segment: 'shipped', id: 'expired' }, 'expired', 1);
+            await disk.set({ segment: 'shipped', id: 'corrupt' }, 'corrupt', 5000);
+            await fs.writeFile(disk.getStoragePathForKey({ segment: 'shipped', id: 'corrupt' }), '{"key":');
+            await new Promise((resolve) => setTimeout(resolve, 10));
+            return dir;
+        };
+
+        it('throws an error when combined with settings that write', (done) => {
+
+            expect(() => new Disk({ cachePath: tmpcachepath.name, readOnly: true, maxEntries: 10 })).to.throw(Error, /readOnly can't be combined/);
+            expect(() => new Disk({ cachePath: tmpcachepath.name, readOnly: true, readOnlyWrites: 'queue' })).to.throw(Error);
+            done();
+        });
+
+        it('serves a prebuilt cache without changing it', async () => {
+
+            const dir  = await build();
+            const disk = new Disk({ cachePath: dir.name, readOnly: true });
+            await disk.start();
+
+            const before = Fs.readdirSync(dir.name);
+            expect((await disk.get({ segment: 'shipped', id: 'fresh' })).item).to.equal('fresh');
+            expect(await disk.get({ segment: 'shipped', id: 'expired' })).to.not.exist();
+            expect(await disk.get({ segment: 'shipped', id: 'corrupt' })).to.not.exist();
+
+            expect(Fs.existsSync(disk.getStoragePathForKey({ segment: 'shipped', id: 'expired' }))).to.equal(true);
+            expect(Fs.existsSync(disk.getStoragePathForKey({ segment: 'shipped', id: 'corrupt' }))).to.equal(true);
+            expect(Fs.readdirSync(dir.name)).to.equal(before);
+            expect(disk.cacheCleanerTimeout).to.not.exist();
+            dir.removeCallback();
+        });
+
+        it('rejects writes', async () => {
+
+            const dir  = await build();
+            const disk = new Disk({ cachePath: dir.name, readOnly: true });
+            await disk.start();
+
+            const key = { segment: 'shipped', id: 'fresh' };
+            for (const write of [() => disk.set(key, 'changed', 5000), () => disk.drop(key), () => disk.dropSegment('shipped'), () => disk.clean(), () => disk.migrateToPartition('p')]) {
+                let error = null;
+                try {
+                    await write();
+                } catch (e) {
+                    error = e;
+                }
+
+                expect(error).to.be.instanceof(Error);
+            }
+
+            expect((await disk.get(key)).item).to.equal('fresh');
+            dir.removeCallback();
+        });
+
+        it('ignores writes when asked to', async () => {
+
+            const dir  = await build();
+            const disk = new Disk({ cachePath: dir.name, readOnly: true, readOnlyWrites: 'ignore' });
+            await disk.start();
+
+            const key = { segment: 'shipped', id: 'fresh' };
+            await disk.set(key, 'changed', 5000);
+            await disk.drop(key);
+            expect(await disk.dropSegment('shipped')).to.equal(0);
+            expect((await disk.get(key)).item).to.equal('fresh');
+            dir.removeCallback();
+        });
+
+        it('starts on a missing partition without creating it', async () => {
+
+            const { dir, disk } = await startDisk('readonly', { partition: 'shipped', readOnly: true });
+
+            expect(await disk.get({ segment: 'shipped', id: 'fresh' })).to.not.exist();
+            expect(Fs.readdirSync(dir.name)).to.equal([]);
+            dir.removeCallback();
+        });
+    });
+
+    describe('#startupScan', () => {
+
+        const populate = async (dir) => {
+
+            const disk = new Disk({ cachePath: dir.name, cleanEvery: 0 });
+            await disk.start();
+
+            await disk.set({ segment: 'scan', id: 'old' }, 'old', 5000);
+            await disk.set({ segment: 'scan', id: 'new' }, 'new', 5000);
+            await disk.set({ segment: 'scan', id: 'expired' }, 'expired', 1);
+
+            const past = new Date(Date.now() - 120000);
+            await fs.utimes(disk.getStoragePathForKey({ segment: 'scan', id: 'old' }), past, past);
+
+            const testFile = Path.join(dir.name, 'testDiskAccess.1234.txt');
+            const tempFile = disk.getStoragePathForKey({ segment: 'scan', id: 'new' }) + '.1.abc.tmp';
+            await fs.writeFile(testFile, 'okey-dokey');
+            await fs.writeFile(tempFile, '');
+            await fs.utimes(testFile, past, past);
+            await fs.utimes(tempFile, past, past);
+
+            await new Promise((resolve) => setTimeout(resolve, 10));
+            return { disk, testFile, tempFile };
+        };
+
+        it('throws an error with an invalid startupScan', (done) => {
+
+            const fn = () => {
+
+                new Disk({ cachePath: tmpcachepath.name, startupScan: { preload: -1 } });
+            };
+            expect(fn).to.throw(Error);
+            done();
+        });
+
+        it('removes leftovers and rebuilds the disk usage on start()', async () => {
+
+            const dir = Tmp.dirSync({ prefix: 'catbox_disk_scan_', unsafeCleanup: true });
+            const { testFile, tempFile } = await populate(dir);
+
+            const disk  = new Disk({ cachePath: dir.name, cleanEvery: 0, startupScan: true, maxEntries: 10 });
+            const scans = [];
+            disk.on('scan', (summary) => scans.push(summary));
+            await disk.start();
+
+            expect(scans.length).to.equal(1);
+            expect(scans[0]).to.include({ scanned: 3, expired: 1, tempFiles: 2, preloaded: 0, complete: true, skipped: false });
+            expect(Fs.existsSync(testFile)).to.equal(false);
+            expect(Fs.existsSync(tempFile)).to.equal(false);
+            expect(disk.usage.entries.size).to.equal(2);
+            expect((await disk.get({ segment: 'scan', id: 'old' })).item).to.equal('old');
+            dir.removeCallback();
+        });
+
+        it('preloads the most recently used entries into memory', async () => {
+
+            const dir = Tmp.dirSync({ prefix: 'catbox_disk_scan_', unsafeCleanup: true });
+            await populate(dir);
+
+            const disk = new Disk({ cachePath: dir.name, cleanEvery: 0, startupScan: { preload: 1 }, memory: { maxItems: 10 } });
+            await disk.start();
+
+            expect(disk.memory.entries.size).to.equal(1);
+            expect(disk.memory.get(disk.getStoragePathForKey({ segment: 'scan', id: 'new' })).item).to.equal('new');
+            dir.removeCallback();
+        });
+
+        it('keeps the most recently used entries when preloading more than memory holds', async () => {
+
+            const { dir, disk: writer } = await startDisk('scan');
+
+            const keys = Array.from({ length: 20 }, (value, i) => ({ segment: 'scan', id: `k${i}` }));
+            const base = Date.now() / 1000 - 1000;
+            for (let i = 0; i < keys.length; ++i) {
+                await writer.set(keys[i], i, 60000);
+                await fs.utimes(writer.getStoragePathForKey(keys[i]), base + i, base + i);
+            }
+
+            const disk  = new Disk({ cachePath: dir.name, cleanEvery: 0, startupScan: { preload: 20 }, memory: { maxItems: 5 } });
+            const scans = [];
+            disk.on('scan', (summary) => scans.push(summary));
+            await disk.start();
+
+            // least recently used first, as the memory tier evicts them
+            expect(Array.from(disk.memory.entries.keys())).to.equal(keys.slice(15).map((key) => disk.getStoragePathForKey(key)));
+            expect(scans[0].preloaded).to.equal(5);
+            dir.removeCallback();
+        });
+
+        it('stops once the time budget is spent', async () => {
+
+            const dir = Tmp.dirSync({ prefix: 'catbox_disk_scan_', unsafeCleanup: true });
+            await populate(dir);
+
+            const disk = new Disk({ cachePath: dir.name, cleanEvery: 0, expiryIndex: true });
+            await disk.start();
+
+            // make examining the first file outlast the budget
+            const isCacheFile = disk.layout.isCacheFile;
+            disk.layout.isCacheFile = (name) => {
+
+                const until = Date.now() + 5;
+                while (Date.now() < until) {
+                    // busy wait
+                }
+
+                return isCacheFile.call(disk.layout, name);
+            };
+
+            const partial = await disk.scan({ timeBudget: 1 });
+            expect(partial.complete).to.equal(false);
+            expect(partial.scanned).to.be.below(3);
+            expect(Fs.existsSync(Path.join(dir.name, '_expiry', 'complete'))).to.equal(false);
+
+            disk.layout.isCacheFile = isCacheFile;
+            const full = await disk.scan({});
+            expect(full.complete).to.equal(true);
+            expect(Fs.existsSync(Path.join(dir.name, '_expiry', 'complete'))).to.equal(true);
+            dir.removeCallback();
+        });
+    });
+
     describe('#get', () => {
 
         it('returns not found on get when item expired', async () => {
@@ -182,10 +478,9 @@ describe('Disk', () => {
             const key = { id: 'x', segment: 'test' };
             await client.set(key, 'x', 1);
 
-            await setTimeout(async () => {
-                const result = await client.get(key);
-                expect(result).to.equal(null);
-            }, 1000);
+            await new Promise((resolve) => setTimeout(resolve, 1000));
+            const result = await client.get(key);
+            expect(result).to.equal(null);
         });
 
         it('returns not found on get when using null key', async () => {
@@ -298,6 +593,92 @@ describe('Disk', () => {
 
     });
 
+    describe('#onCorrupt', () => {
+
+        const setup = async (settings) => {
+
+            const { dir, disk } = await startDisk('corrupt', settings);
+
+            const key = { segment: 'segment', id: 'corrupt' };
+            const fp  = disk.getStoragePathForKey(key);
+            await disk.set(key, 'value', 5000);
+            await fs.writeFile(fp, '{"key":');
+            return { dir, disk, key, fp };
+        };
+
+        it('errors on an invalid onCorrupt setting', (done) => {
+
+            const fn = () => {
+
+                new Disk({ cachePath: tmpcachepath.name, onCorrupt: 'ignore' });
+            };
+            expect(fn).to.throw(Error, 'onCorrupt must be one of delete, quarantine, throw');
+            done();
+        });
+
+        it('moves a corrupt file to the quarantine with its reason', async () => {
+
+            const { dir, disk, key, fp } = await setup({ onCorrupt: 'quarantine' });
+            const events = [];
+            disk.on('corrupt', (event) => events.push(event));
+
+            expect(await disk.get(key)).to.not.exist();
+            expect(Fs.existsSync(fp)).to.equal(false);
+            expect(events.length).to.equal(1);
+            expect(events[0].action).to.equal('quarantine');
+
+            const quarantined = Fs.readdirSync(Path.join(dir.name, '_corrupt')).sort();
+            expect(quarantined.length).to.equal(2);
+            expect(quarantined[0]).to.match(/^\d+-[a-f0-9]{32}\.json$/);
+            expect(quarantined[1]).to.equal(quarantined[0] + '.reason.json');
+            expect(Fs.readFileSync(Path.join(dir.name, '_corrupt', quarantined[0]), 'utf8')).to.equal('{"key":');
+
+            const reason = JSON.parse(Fs.readFileSync(Path.join(dir.name, '_corrupt', quarantined[1]), 'utf8'));
+            expect(reason.filepath).to.equal(Path.relative(dir.name, fp));
+            expect(reason.reason).to.be.a.string();
+            expect(disk.stats().counters).to.include({ corrupt: 1, quarantined: 1 });
+
+            // the cleaner only prunes the quarantine once it is old enough
+            expect((await disk.clean()).quarantined).to.equal(0);
+            disk.settings.quarantineMaxAge = 0;
+            const summary = await disk.clean();
+            expect(summary.quarantined).to.equal(2);
+            expect(summary.bytesFreed).to.be.above(0);
+            expect(Fs.readdirSync(Path.join(dir.name, '_corrupt'))).to.equal([]);
+            dir.removeCallback();
+        });
+
+        it('errors on a corrupt file and leaves it in place', async () => {
+
+            const { dir, disk, key, fp } = await setup({ onCorrupt: 'throw' });
+
+            let error = null;
+            try {
+                await disk.get(key);
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).to.be.instanceof(Error);
+            expect(error.message).to.contain('Corrupt cache file');
+            expect(Fs.existsSync(fp)).to.equal(true);
+
+            await disk.set(key, 'fixed', 5000);
+            expect((await disk.get(key)).item).to.equal('fixed');
+            dir.removeCallback();
+        });
+
+        it('deletes a corrupt file by default', async () => {
+
+            const { dir, disk, key, fp } = await setup({});
+
+            expect(await disk.get(key)).to.not.exist();
+            expect(Fs.existsSync(fp)).to.equal(false);
+            expect(Fs.existsSync(Path.join(dir.name, '_corrupt'))).to.equal(false);
+            dir.removeCallback();
+        });
+    });
+
     describe('#set', () => {
 
 
@@ -385,160 +766,2398 @@ describe('Disk', () => {
 
     });
 
-    describe('#drop', () => {
-
-        it('does not return an expired item', async () => {
+    describe('#durability', () => {
 
-            const key = { segment: 'test', id: 'test' };
-            const disk = new Disk(options);
-            await disk.start();
+        it('throws an error with an unknown durability', (done) => {
 
-            await disk.set(key, 'myvalue', 1500)
+            const fn = () => {
 
-            const result = await disk.get(key);
-            expect(result.item).to.equal('myvalue');
-            await setTimeout(async () => {
-                const result2 = await disk.get(key);
-                expect(result2).to.not.exist();
-            }, 1800);
+                new Disk({ cachePath: tmpcachepath.name, durability: 'sometimes' });
+            };
+            expect(fn).to.throw(Error);
+            done();
         });
 
-        it('drops an existing item', async () => {
-            const client = new Catbox.Client(Disk, options);
-            await client.start();
+        ['none', 'rename', 'fsync'].forEach((durability) => {
 
-            const key = { id: 'x', segment: 'test' };
-            await client.set(key, '123', 5000);
+            it(`writes and reads back an item with durability "${durability}"`, async () => {
 
-            const result = await client.get(key);
-            expect(result.item).to.equal('123');
-            expect(async () => await client.drop(key)).to.not.throw();
+                const { dir, disk } = await startDisk('durability', { durability });
+
+                const key = { segment: 'durability', id: durability };
+                await disk.set(key, 'first', 5000);
+                await disk.set(key, 'second', 5000);
+
+                const result = await disk.get(key);
+                expect(result.item).to.equal('second');
+                expect(Fs.readdirSync(Path.dirname(disk.getStoragePathForKey(key)))).to.have.length(1);
+                dir.removeCallback();
+            });
         });
 
-        it('drops an item from a missing segment', async () => {
+        it('rejects and removes the temp file when the write fails', async () => {
 
-            const client = new Catbox.Client(Disk, options);
-            await client.start();
-            const key = { id: 'x', segment: 'test' };
-            expect(async () => await client.drop(key)).to.not.throw();
+            const { dir, disk } = await startDisk('durability', { maxEntries: 10, memory: { maxItems: 10 } });
+
+            // a directory in place of the target makes the final rename fail
+            const key = { segment: 'durability', id: 'blocked' };
+            const fp  = disk.getStoragePathForKey(key);
+            Fs.mkdirSync(fp, { recursive: true });
+
+            try {
+                await disk.set(key, 'value', 5000, { tags: ['t'] });
+                throw new Error('should have failed');
+            } catch (e) {
+                expect(e.isBoom).to.equal(true);
+                expect(e.message).to.not.equal('should have failed');
+            }
+
+            expect(Fs.readdirSync(Path.dirname(fp))).to.equal([Path.basename(fp)]);
+            expect(disk.usage.entries.size).to.equal(0);
+            expect(disk.memory.entries.size).to.equal(0);
+            expect(Fs.existsSync(disk.tagIndexPath('t'))).to.equal(false);
+            dir.removeCallback();
         });
 
+        it('reaps stale temp files in the cleaner', async () => {
 
-        it('drops a missing item', async () => {
+            const { dir, disk } = await startDisk('durability');
 
-            const client = new Catbox.Client(Disk, options);
-            await client.start();
-            const key = { id: 'x', segment: 'test' };
-            await client.set(key, '123', 2000);
-            const result = await client.get(key);
-            expect(result.item).to.equal('123');
-            expect(async () => await client.drop({ id: 'y', segment: 'test' })).to.not.throw();
+            const hash  = '0123456789abcdef0123456789abcdef';
+            const stale = Path.join(dir.name, `${hash}.json.1.aaaa.tmp`);
+            const fresh = Path.join(dir.name, `${hash}.json.1.bbbb.tmp`);
+            await fs.writeFile(stale, '{}');
+            await fs.writeFile(fresh, '{}');
+            Fs.utimesSync(stale, new Date(0), new Date(0));
+
+            const summary = await disk.clean();
+            expect(summary.tempFiles).to.equal(1);
+            expect(Fs.existsSync(stale)).to.equal(false);
+            expect(Fs.existsSync(fresh)).to.equal(true);
+            dir.removeCallback();
         });
+    });
 
+    describe('#coalesce', () => {
 
-        it('errors on an undroppable file', async () => {
+        it('shares one read between concurrent gets of a key', async () => {
 
-            const disk = new Disk(options);
+            const disk = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0 });
             await disk.start();
 
-            const key = { segment : 'segment', id : 'undropablekey' };
-            const fp  = disk.getStoragePathForKey(key);
-
-            await disk.set(key, 'notok', 2000)
+            const key = { segment: 'coalesce', id: 'read' };
+            await disk.set(key, 'value', 5000);
 
-            const dir = Path.dirname(fp);
-            Fs.chmodSync(dir,'0555'); // make the file unreadable
-            try {
-                await disk.drop(key)
-            } catch (e) {
-                expect(e).to.be.instanceof(Error);
-                expect(e.code).to.not.equal('ENOENT');
-            }
+            let reads = 0;
+            const readCacheFile = disk.readCacheFile;
+            disk.readCacheFile = function (filepath) {
 
-            Fs.chmodSync(dir,'0777');
-            Fs.unlinkSync(fp);
-        });
+                ++reads;
+                return readCacheFile.call(this, filepath);
+            };
 
-        it('errors on drop when using invalid key', async () => {
+            const results = await Promise.all([disk.get(key), disk.get(key), disk.get(key)]);
+            expect(reads).to.equal(1);
+            expect(results.map((result) => result.item)).to.equal(['value', 'value', 'value']);
 
-            const client = new Catbox.Client(Disk, options);
-            await client.start();
-            try {
-                await client.drop({});
-            } catch (e) {
-                expect(e).to.be.instanceof(Error);
-            }
+            await disk.get(key);
+            expect(reads).to.equal(2);
+            expect(disk.reads.size).to.equal(0);
         });
 
+        it('lets the last of concurrent sets win', async () => {
 
-        it('errors on drop when using null key', async () => {
+            const disk = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0 });
+            await disk.start();
 
-            const client = new Catbox.Client(Disk, options);
-            await client.start();
-            try {
-                await client.drop(null);
-            } catch (e) {
-                expect(e).to.be.instanceof(Error);
+            const key    = { segment: 'coalesce', id: 'write' };
+            const writes = [];
+            for (let i = 0; i < 10; ++i) {
+                writes.push(disk.set(key, { value: i, padding: 'x'.repeat(1000 * (10 - i)) }, 5000));
             }
+
+            await Promise.all(writes);
+            expect((await disk.get(key)).item.value).to.equal(9);
+            expect(disk.writes.size).to.equal(0);
         });
 
+        it('orders a drop after a pending set', async () => {
 
-        it('errors on drop when stopped', async () => {
+            const disk = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0 });
+            await disk.start();
 
-            const client = new Catbox.Client(Disk, options);
-            await client.stop();
-            const key = { id: 'x', segment: 'test' };
-            try {
-                await client.connection.drop(key);
-            } catch (e) {
-                expect(e).to.be.instanceof(Error);
-            }
+            const key = { segment: 'coalesce', id: 'drop' };
+            await Promise.all([disk.set(key, 'value', 5000), disk.drop(key)]);
+            expect(await disk.get(key)).to.not.exist();
         });
 
+        it('keeps a file rewritten after it was read as expired', async () => {
 
-        it('errors when cache item dropped while stopped', async () => {
+            const disk = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0 });
+            await disk.start();
 
-            const client = new Catbox.Client(Disk, options);
-            await client.stop();
-            try {
-                await client.drop('a')
-            } catch (e) {
-                expect(e).to.be.instanceof(Error);
-            }
+            const key = { segment: 'coalesce', id: 'expired' };
+            await disk.set(key, 'old', 1);
+            await new Promise((resolve) => setTimeout(resolve, 10));
+
+            const [result] = await Promise.all([disk.get(key), disk.set(key, 'new', 5000)]);
+            expect(result).to.not.exist();
+            expect((await disk.get(key)).item).to.equal('new');
         });
     });
 
-    describe('#validateSegmentName', () => {
+    describe('#locking', () => {
 
-        it('errors when the name is empty', (done) => {
+        const owner = (pid, id) => JSON.stringify({ id, pid, hostname: require('os').hostname(), acquired: Date.now() });
 
-            const disk = new Disk(options);
-            const result = disk.validateSegmentName('');
+        it('throws an error with a non-integer lockStale', (done) => {
 
-            expect(result).to.be.instanceOf(Error);
-            expect(result.message).to.equal('Empty string');
+            const fn = () => {
+
+                new Disk({ cachePath: tmpcachepath.name, lockStale: 'soon' });
+            };
+            expect(fn).to.throw(Error);
             done();
         });
 
+        it('removes the key lock once a set completes', async () => {
 
-        it('errors when the name has a null character', (done) => {
+            const disk = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0, locking: true });
+            await disk.start();
 
-            const disk = new Disk(options);
-            const result = disk.validateSegmentName('\0test');
+            const key = { segment: 'locking', id: 'released' };
+            await disk.set(key, 'value', 5000);
+            await disk.drop({ segment: 'locking', id: 'missing' });
 
-            expect(result).to.be.instanceOf(Error);
+            expect(Fs.existsSync(disk.getStoragePathForKey(key) + '.lock')).to.equal(false);
+            expect((await disk.get(key)).item).to.equal('value');
+        });
+
+        it('waits for a key lock held by a live process and gives up after lockTimeout', async () => {
+
+            const disk = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0, locking: true, lockTimeout: 100 });
+            await disk.start();
+
+            const key = { segment: 'locking', id: 'held' };
+            const fp  = disk.getStoragePathForKey(key);
+            await disk.set(key, 'before', 5000);
+            await fs.writeFile(fp + '.lock', owner(process.pid, 'other'));
+
+            let error = null;
+            try {
+                await disk.set(key, 'after', 5000);
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).to.be.instanceof(Error);
+            expect((await disk.get(key)).item).to.equal('before');
+
+            await fs.unlink(fp + '.lock');
+            await disk.set(key, 'after', 5000);
+            expect((await disk.get(key)).item).to.equal('after');
+        });
+
+        it('breaks a lock left by a dead process or not refreshed in time', async () => {
+
+            const disk = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0, locking: true, lockTimeout: 100, lockStale: 1000 });
+            await disk.start();
+
+            const dead = { segment: 'locking', id: 'dead' };
+            await disk.set(dead, 'before', 5000);
+            await fs.writeFile(disk.getStoragePathForKey(dead) + '.lock', owner(2147483646, 'dead'));
+            await disk.set(dead, 'after', 5000);
+            expect((await disk.get(dead)).item).to.equal('after');
+
+            const old = { segment: 'locking', id: 'old' };
+            const lockpath = disk.getStoragePathForKey(old) + '.lock';
+            await disk.set(old, 'before', 5000);
+            await fs.writeFile(lockpath, owner(process.pid, 'old'));
+            Fs.utimesSync(lockpath, new Date(0), new Date(0));
+            await disk.set(old, 'after', 5000);
+            expect((await disk.get(old)).item).to.equal('after');
+        });
+
+        it('skips the sweep while another process holds the cleaner lock', async () => {
+
+            const { dir, disk } = await startDisk('locking', { locking: true });
+
+            const lockpath = Path.join(dir.name, '_cleaner.lock');
+            await fs.writeFile(lockpath, owner(process.pid, 'other'));
+            expect((await disk.clean()).skipped).to.equal(true);
+
+            await fs.unlink(lockpath);
+            const summary = await disk.clean();
+            expect(summary.skipped).to.equal(false);
+            expect(Fs.existsSync(lockpath)).to.equal(false);
+            dir.removeCallback();
+        });
+
+        it('removes stale lock files in a sweep', async () => {
+
+            const { dir, disk } = await startDisk('locking', { locking: true });
+
+            const key = { segment: 'locking', id: 'stale' };
+            await disk.set(key, 'value', 5000);
+
+            const stale = disk.getStoragePathForKey(key) + '.lock';
+            const live  = Path.join(Path.dirname(stale), 'live.json.lock');
+            await fs.writeFile(stale, owner(2147483646, 'dead'));
+            await fs.writeFile(live, owner(process.pid, 'live'));
+
+            const summary = await disk.clean();
+            expect(summary.tempFiles).to.equal(1);
+            expect(Fs.existsSync(stale)).to.equal(false);
+            expect(Fs.existsSync(live)).to.equal(true);
+            dir.removeCallback();
+        });
+
+        it('keeps a lock another process took after a sweep judged the old one stale', async () => {
+
+            const { dir, disk } = await startDisk('locking', { locking: true });
+            const key           = { segment: 'locking', id: 'retaken' };
+            await disk.set(key, 'value', 5000);
+
+            const lockpath = disk.getStoragePathForKey(key) + '.lock';
+            await fs.writeFile(lockpath, owner(2147483646, 'dead'));
+
+            // the other process breaks the dead owner's lock and locks again right after the sweep looked at it
+            const isStale = Lock.isStale;
+            let fresh     = null;
+            Lock.isStale = async (filepath, stale) => {
+
+                const judged = await isStale(filepath, stale);
+                if (filepath === lockpath) {
+                    await fs.unlink(lockpath);
+                    fresh = await Lock.tryAcquire(lockpath, { stale: 30000 });
+                }
+
+                return judged;
+            };
+
+            let summary = null;
+            try {
+                summary = await disk.clean();
+            } finally {
+                Lock.isStale = isStale;
+            }
+
+            expect(summary.tempFiles).to.equal(0);
+            expect(JSON.parse(await fs.readFile(lockpath, 'utf8')).id).to.equal(fresh.token.id);
+            await fresh.release();
+            dir.removeCallback();
+        });
+
+        it('lets only one of several processes break a stale lock', async () => {
+
+            const dir      = Tmp.dirSync({ prefix: 'catbox_disk_locking_', unsafeCleanup: true });
+            const lockpath = Path.join(dir.name, 'key.json.lock');
+            const stale    = owner(2147483646, 'dead');
+            await fs.writeFile(lockpath, stale);
+
+            // both saw the dead owner's lock, the first broke it and locked again before the second got to it
+            const lock = await Lock.tryAcquire(lockpath, { stale: 30000 });
+            await Lock.breakStale(lockpath, stale);
+
+            expect(JSON.parse(await fs.readFile(lockpath, 'utf8')).id).to.equal(lock.token.id);
+            expect(await Lock.tryAcquire(lockpath, { stale: 30000 })).to.equal(null);
+            expect(Fs.readdirSync(dir.name)).to.equal(['key.json.lock']);
+
+            await lock.release();
+            expect(Fs.readdirSync(dir.name)).to.equal([]);
+            dir.removeCallback();
+        });
+    });
+
+    describe('#memory', () => {
+
+        it('throws an error without a positive memory limit', (done) => {
+
+            const fn = () => {
+
+                new Disk({ cachePath: tmpcachepath.name, memory: { maxItems: 0 } });
+            };
+            expect(fn).to.throw(Error);
             done();
         });
 
+        it('serves items from memory after set and get', async () => {
 
-        it('returns null when there are no errors', (done) => {
+            const disk = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0, memory: { maxItems: 10 } });
+            await disk.start();
+
+            const key = { segment: 'memory', id: 'hit' };
+            await disk.set(key, 'value', 5000);
+            await fs.unlink(disk.getStoragePathForKey(key));
+
+            const result = await disk.get(key);
+            expect(result.item).to.equal('value');
+            expect(result.ttl).to.be.above(0);
+            expect(result.ttl).to.be.at.most(5000);
+
+            const other = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0 });
+            await other.start();
+            await other.set(key, 'read', 5000);
+
+            disk.memory.delete(disk.getStoragePathForKey(key));
+            expect((await disk.get(key)).item).to.equal('read');
+            await fs.unlink(disk.getStoragePathForKey(key));
+            expect((await disk.get(key)).item).to.equal('read');
+        });
+
+        it('keeps the original ttl of items in memory', async () => {
+
+            const disk = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0, memory: { maxItems: 10 } });
+            await disk.start();
+
+            const key = { segment: 'memory', id: 'ttl' };
+            await disk.set(key, 'value', 50);
+            await new Promise((resolve) => setTimeout(resolve, 60));
+
+            expect(await disk.get(key)).to.not.exist();
+            expect(disk.memory.entries.size).to.equal(0);
+        });
+
+        it('invalidates items on drop', async () => {
+
+            const disk = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0, memory: { maxItems: 10 } });
+            await disk.start();
+
+            const key = { segment: 'memory', id: 'drop' };
+            await disk.set(key, 'value', 5000);
+            await disk.drop(key);
+            expect(await disk.get(key)).to.not.exist();
+        });
+
+        it('evicts the least recently used items beyond maxItems and maxBytes', async () => {
+
+            const disk = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0, memory: { maxItems: 2, maxBytes: 2000 } });
+            await disk.start();
+
+            const path = (id) => disk.getStoragePathForKey({ segment: 'memory', id });
+            await disk.set({ segment: 'memory', id: 'a' }, 'a', 5000);
+            await disk.set({ segment: 'memory', id: 'b' }, 'b', 5000);
+            await disk.get({ segment: 'memory', id: 'a' });
+            await disk.set({ segment: 'memory', id: 'c' }, 'c', 5000);
+            expect(Array.from(disk.memory.entries.keys())).to.equal([path('a'), path('c')]);
+
+            await disk.set({ segment: 'memory', id: 'big' }, 'x'.repeat(3000), 5000);
+            expect(disk.memory.entries.has(path('big'))).to.equal(false);
+
+            await disk.set({ segment: 'memory', id: 'd' }, 'x'.repeat(1500), 5000);
+            await disk.set({ segment: 'memory', id: 'e' }, 'x'.repeat(1500), 5000);
+            expect(Array.from(disk.memory.entries.keys())).to.equal([path('e')]);
+            expect(disk.memory.bytes).to.be.at.most(2000);
+        });
+
+        it('keeps its own copy of items', async () => {
+
+            const disk = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0, memory: { maxItems: 10 } });
+            await disk.start();
+
+            const key   = { segment: 'memory', id: 'copy' };
+            const value = { a: 1 };
+            await disk.set(key, value, 5000);
+            value.a = 2;
+
+            const first = await disk.get(key);
+            first.item.b = 3;
+            expect((await disk.get(key)).item).to.equal({ a: 1 });
+
+            const bytes = Buffer.from('bytes');
+            await disk.set(key, bytes, 5000);
+            bytes[0] = 0;
+            expect((await disk.get(key)).item.toString()).to.equal('bytes');
+            expect(disk.memory.bytes).to.equal(5);
+        });
+
+        it('does not keep a value read while a newer one was written', async () => {
+
+            const disk = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0, memory: { maxItems: 10 } });
+            await disk.start();
+
+            const key = { segment: 'memory', id: 'race' };
+            await disk.set(key, 'old', 5000);
+            disk.memory.delete(disk.getStoragePathForKey(key));
+
+            await Promise.all([disk.get(key), disk.set(key, 'new', 5000)]);
+            expect((await disk.get(key)).item).to.equal('new');
+        });
+    });
 
+    describe('#drop', () => {
+
+        it('does not return an expired item', async () => {
+
+            const key = { segment: 'test', id: 'test' };
             const disk = new Disk(options);
-            const result = disk.validateSegmentName('valid');
+            await disk.start();
 
-            expect(result).to.not.be.instanceOf(Error);
-            expect(result).to.equal(null);
-            done();
+            await disk.set(key, 'myvalue', 1500)
+
+            const result = await disk.get(key);
+            expect(result.item).to.equal('myvalue');
+            await new Promise((resolve) => setTimeout(resolve, 1800));
+            const result2 = await disk.get(key);
+            expect(result2).to.not.exist();
+        });
+
+        it('drops an existing item', async () => {
+            const client = new Catbox.Client(Disk, options);
+            await client.start();
+
+            const key = { id: 'x', segment: 'test' };
+            await client.set(key, '123', 5000);
+
+            const result = await client.get(key);
+            expect(result.item).to.equal('123');
+            expect(async () => await client.drop(key)).to.not.throw();
+        });
+
+        it('drops an item from a missing segment', async () => {
+
+            const client = new Catbox.Client(Disk, options);
+            await client.start();
+            const key = { id: 'x', segment: 'test' };
+            expect(async () => await client.drop(key)).to.not.throw();
+        });
+
+
+        it('drops a missing item', async () => {
+
+            const client = new Catbox.Client(Disk, options);
+            await client.start();
+            const key = { id: 'x', segment: 'test' };
+            await client.set(key, '123', 2000);
+            const result = await client.get(key);
+            expect(result.item).to.equal('123');
+            expect(async () => await client.drop({ id: 'y', segment: 'test' })).to.not.throw();
+        });
+
+
+        it('errors on an undroppable file', async () => {
+
+            const disk = new Disk(options);
+            await disk.start();
+
+            const key = { segment : 'segment', id : 'undropablekey' };
+            const fp  = disk.getStoragePathForKey(key);
+
+            await disk.set(key, 'notok', 2000)
+
+            const dir = Path.dirname(fp);
+            Fs.chmodSync(dir,'0555'); // make the file unreadable
+            try {
+                await disk.drop(key)
+            } catch (e) {
+                expect(e).to.be.instanceof(Error);
+                expect(e.code).to.not.equal('ENOENT');
+            }
+
+            Fs.chmodSync(dir,'0777');
+            Fs.unlinkSync(fp);
+        });
+
+        it('errors on drop when using invalid key', async () => {
+
+            const client = new Catbox.Client(Disk, options);
+            await client.start();
+            try {
+                await client.drop({});
+            } catch (e) {
+                expect(e).to.be.instanceof(Error);
+            }
+        });
+
+
+        it('errors on drop when using null key', async () => {
+
+            const client = new Catbox.Client(Disk, options);
+            await client.start();
+            try {
+                await client.drop(null);
+            } catch (e) {
+                expect(e).to.be.instanceof(Error);
+            }
+        });
+
+
+        it('errors on drop when stopped', async () => {
+
+            const client = new Catbox.Client(Disk, options);
+            await client.stop();
+            const key = { id: 'x', segment: 'test' };
+            try {
+                await client.connection.drop(key);
+            } catch (e) {
+                expect(e).to.be.instanceof(Error);
+            }
+        });
+
+
+        it('errors when cache item dropped while stopped', async () => {
+
+            const client = new Catbox.Client(Disk, options);
+            await client.stop();
+            try {
+                await client.drop('a')
+            } catch (e) {
+                expect(e).to.be.instanceof(Error);
+            }
+        });
+    });
+
+    describe('#segments', () => {
+
+        const setup = async () => {
+
+            const { dir, disk } = await startDisk('segments', { memory: { maxItems: 10 } });
+
+            await disk.set({ segment: 'pages', id: 'a' }, 'a', 5000);
+            await disk.set({ segment: 'pages', id: 'b' }, 'b', 5000);
+            await disk.set({ segment: 'pages', id: 'old' }, 'old', 1);
+            await disk.set({ segment: 'pages/nested', id: 'c' }, 'c', 5000);
+            await disk.set({ segment: 'other', id: 'd' }, 'd', 5000);
+            await new Promise((resolve) => setTimeout(resolve, 10));
+            return { dir, disk };
+        };
+
+        const list = async (iterator) => {
+
+            const ids = [];
+            for (let result = await iterator.next(); !result.done; result = await iterator.next()) {
+                ids.push(result.value);
+            }
+
+            return ids.sort();
+        };
+
+        it('lists the ids of unexpired keys in a segment', async () => {
+
+            const { dir, disk } = await setup();
+
+            expect(await list(disk.listKeys('pages'))).to.equal(['a', 'b']);
+            expect(await list(disk.listKeys('pages/nested'))).to.equal(['c']);
+            expect(await list(disk.listKeys('missing'))).to.equal([]);
+            expect(typeof disk.listKeys('pages')[Symbol.asyncIterator]).to.equal('function');
+            dir.removeCallback();
+        });
+
+        it('reports entries, bytes and stored range of a segment', async () => {
+
+            const { dir, disk } = await setup();
+
+            const stats = await disk.segmentStats('pages');
+            expect(stats.entries).to.equal(3);
+            expect(stats.expired).to.equal(1);
+            expect(stats.bytes).to.be.above(0);
+            expect(stats.oldest).to.be.at.most(stats.newest);
+
+            expect(await disk.segmentStats('missing')).to.equal({ entries: 0, expired: 0, bytes: 0, oldest: null, newest: null });
+            dir.removeCallback();
+        });
+
+        it('drops a whole segment but not nested or other segments', async () => {
+
+            const { dir, disk } = await setup();
+
+            expect(await disk.dropSegment('pages')).to.equal(3);
+            expect(await disk.get({ segment: 'pages', id: 'a' })).to.not.exist();
+            expect((await disk.get({ segment: 'pages/nested', id: 'c' })).item).to.equal('c');
+            expect((await disk.get({ segment: 'other', id: 'd' })).item).to.equal('d');
+            expect(Fs.readdirSync(Path.join(dir.name, 'pages'))).to.equal(['nested']);
+
+            expect(await disk.dropSegment('other')).to.equal(1);
+            expect(Fs.existsSync(Path.join(dir.name, 'other'))).to.equal(false);
+            dir.removeCallback();
+        });
+
+        it('counts the data files of streamed entries in segment bytes', async () => {
+
+            const { dir, disk } = await startDisk('segments');
+
+            const stream = new Stream.PassThrough();
+            stream.end(Buffer.alloc(10000, 'x'));
+            await disk.setStream({ segment: 'reports', id: 'big' }, stream, 5000);
+
+            const stats = await disk.segmentStats('reports');
+            expect(stats.entries).to.equal(1);
+            expect(stats.bytes).to.be.above(10000);
+            dir.removeCallback();
+        });
+
+        it('drops a segment under the key locks and reports it', async () => {
+
+            const { dir, disk } = await setup();
+            const events = [];
+            disk.on('dropSegment', (event) => events.push(event));
+
+            // a set() of the same key holding its lock is waited for
+            let release = null;
+            const held = disk.exclusive(disk.getStoragePathForKey({ segment: 'other', id: 'd' }), () => new Promise((resolve) => {
+
+                release = resolve;
+            }));
+
+            let dropped = false;
+            const dropping = disk.dropSegment('other').then((count) => {
+
+                dropped = true;
+                return count;
+            });
+
+            await new Promise((resolve) => setTimeout(resolve, 20));
+            expect(dropped).to.equal(false);
+            release();
+            await held;
+            expect(await dropping).to.equal(1);
+
+            expect(events).to.have.length(1);
+            expect(events[0]).to.include({ segment: 'other', count: 1 });
+            expect(events[0].duration).to.be.a.number();
+            expect(disk.stats().counters.drops).to.equal(1);
+            expect(disk.stats().histograms.dropDuration.count).to.equal(1);
+            dir.removeCallback();
+        });
+
+        it('rejects segments outside the cache directory', async () => {
+
+            const disk = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0 });
+            await disk.start();
+
+            for (const segment of ['..', '.', 'a/../..', '', 'a\0b']) {
+                let error = null;
+                try {
+                    await disk.dropSegment(segment);
+                } catch (e) {
+                    error = e;
+                }
+
+                expect(error).to.be.instanceof(Error);
+            }
+
+            expect(() => disk.listKeys('../x')).to.throw(Error);
+        });
+
+        it('errors on segment operations when stopped', async () => {
+
+            const disk = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0 });
+            expect(() => disk.listKeys('pages')).to.throw(Error);
+
+            for (const method of ['dropSegment', 'segmentStats']) {
+                let error = null;
+                try {
+                    await disk[method]('pages');
+                } catch (e) {
+                    error = e;
+                }
+
+                expect(error).to.be.instanceof(Error);
+            }
+        });
+    });
+
+    describe('#collisions', () => {
+
+        // every id hashes to the same file
+        const setup = async (settings) => {
+
+            const started = await startDisk('collisions', settings);
+            started.disk.layout.digest = () => '0'.repeat(32);
+            return started;
+        };
+
+        it('errors on an invalid collisions setting', (done) => {
+
+            const fn = () => {
+
+                new Disk({ cachePath: tmpcachepath.name, collisions: 'ignore' });
+            };
+            expect(fn).to.throw(Error, 'collisions must be one of miss, chain');
+            done();
+        });
+
+        it('misses and reports a file holding a different key', async () => {
+
+            const { dir, disk } = await setup({ memory: { maxItems: 10 } });
+            const collisions = [];
+            disk.on('collision', (collision) => collisions.push(collision));
+
+            await disk.set({ segment: 'test', id: 'a' }, 'a', 5000);
+            expect(await disk.get({ segment: 'test', id: 'b' })).to.not.exist();
+            expect(disk.stats().counters.collisions).to.equal(1);
+            expect(collisions.length).to.equal(1);
+            expect(collisions[0].key).to.equal({ segment: 'test', id: 'b' });
+            expect(collisions[0].found).to.equal({ segment: 'test', id: 'a' });
+            expect(collisions[0].filepath).to.equal(disk.getStoragePathForKey({ segment: 'test', id: 'a' }));
+
+            // the other key's file is left alone
+            expect((await disk.get({ segment: 'test', id: 'a' })).item).to.equal('a');
+            disk.memory.delete(collisions[0].filepath);
+            expect((await disk.get({ segment: 'test', id: 'a' })).item).to.equal('a');
+            dir.removeCallback();
+        });
+
+        it('keeps colliding keys side by side in chain mode', async () => {
+
+            const { dir, disk } = await setup({ collisions: 'chain' });
+
+            await disk.set({ segment: 'test', id: 'a' }, 'a', 5000);
+            await disk.set({ segment: 'test', id: 'b' }, 'b', 5000);
+            await disk.set({ segment: 'test', id: 'a' }, 'a2', 5000);
+
+            const filepath = disk.getStoragePathForKey({ segment: 'test', id: 'a' });
+            expect(Fs.readdirSync(Path.dirname(filepath)).sort()).to.equal(['0'.repeat(32) + '.1.json', '0'.repeat(32) + '.json']);
+            expect((await disk.get({ segment: 'test', id: 'a' })).item).to.equal('a2');
+            expect((await disk.get({ segment: 'test', id: 'b' })).item).to.equal('b');
+            expect(await disk.get({ segment: 'test', id: 'c' })).to.not.exist();
+
+            await disk.drop({ segment: 'test', id: 'a' });
+            expect(await disk.get({ segment: 'test', id: 'a' })).to.not.exist();
+            expect((await disk.get({ segment: 'test', id: 'b' })).item).to.equal('b');
+
+            // the freed slot is reused
+            await disk.set({ segment: 'test', id: 'c' }, 'c', 5000);
+            expect(Fs.existsSync(filepath)).to.equal(true);
+            expect(await disk.listKeys('test').next()).to.exist();
+            dir.removeCallback();
+        });
+
+        it('errors when a collision chain is full', async () => {
+
+            const { dir, disk } = await setup({ collisions: 'chain' });
+
+            for (const id of ['a', 'b', 'c', 'd']) {
+                await disk.set({ segment: 'test', id }, id, 5000);
+            }
+
+            let error = null;
+            try {
+                await disk.set({ segment: 'test', id: 'e' }, 'e', 5000);
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).to.exist();
+            expect(error.message).to.contain('More than 4 keys collide');
+
+            // expired links make room
+            await disk.set({ segment: 'test', id: 'b' }, 'b', 1);
+            await new Promise((resolve) => setTimeout(resolve, 10));
+            await disk.set({ segment: 'test', id: 'e' }, 'e', 5000);
+            expect((await disk.get({ segment: 'test', id: 'e' })).item).to.equal('e');
+            dir.removeCallback();
+        });
+    });
+
+    describe('#snapshot', () => {
+
+        const collect = (stream) => {
+
+            const chunks = [];
+            stream.on('data', (chunk) => chunks.push(chunk));
+            return () => Buffer.concat(chunks).toString('utf8');
+        };
+
+        const source = (text) => {
+
+            const stream = new Stream.PassThrough();
+            stream.end(text);
+            return stream;
+        };
+
+        it('exports live entries and imports them elsewhere', async () => {
+
+            const from = await startDisk('snapshot', { serializer: 'binary' });
+            await from.disk.set({ segment: 'pages', id: 'a' }, { title: 'a' }, 5000);
+            await from.disk.set({ segment: 'pages/nested', id: 'b' }, Buffer.from('bytes'), 5000);
+            await from.disk.set({ segment: 'other', id: 'c' }, 'c', 5000);
+            await from.disk.set({ segment: 'pages', id: 'expired' }, 'expired', 1);
+            await new Promise((resolve) => setTimeout(resolve, 10));
+
+            const stream = new Stream.PassThrough();
+            const text   = collect(stream);
+            const result = await from.disk.exportSnapshot(stream);
+            expect(result.entries).to.equal(3);
+
+            const lines = text().trim().split('\n').map((line) => JSON.parse(line));
+            expect(lines[0]).to.include({ format: 'catbox-disk-snapshot', version: 1, created: result.created });
+            expect(lines.slice(1).map((line) => line.key.id).sort()).to.equal(['a', 'b', 'c']);
+
+            const to      = await startDisk('snapshot');
+            const summary = await to.disk.importSnapshot(source(text()));
+            expect(summary).to.equal({ imported: 3, existing: 0, expired: 0 });
+
+            const a = await to.disk.get({ segment: 'pages', id: 'a' });
+            expect(a.item).to.equal({ title: 'a' });
+            expect(a.stored).to.equal(lines.slice(1).find((line) => line.key.id === 'a').stored);
+            expect(a.ttl).to.be.at.most(5000);
+            expect((await to.disk.get({ segment: 'pages/nested', id: 'b' })).item).to.equal(Buffer.from('bytes').toJSON());
+            expect((await to.disk.get({ segment: 'other', id: 'c' })).item).to.equal('c');
+
+            from.dir.removeCallback();
+            to.dir.removeCallback();
+        });
+
+        it('exports only the given segments', async () => {
+
+            const { dir, disk } = await startDisk('snapshot');
+            await disk.set({ segment: 'pages', id: 'a' }, 'a', 5000);
+            await disk.set({ segment: 'pages/nested', id: 'b' }, 'b', 5000);
+
+            const stream = new Stream.PassThrough();
+            const text   = collect(stream);
+            expect((await disk.exportSnapshot(stream, { segments: ['pages'] })).entries).to.equal(1);
+            expect(JSON.parse(text().trim().split('\n')[1]).key).to.equal({ segment: 'pages', id: 'a' });
+            dir.removeCallback();
+        });
+
+        it('skips expired and existing entries unless asked not to', async () => {
+
+            const { dir, disk } = await startDisk('snapshot');
+            await disk.set({ segment: 'pages', id: 'existing' }, 'mine', 5000);
+
+            const created  = Date.now() - 10000;
+            const snapshot = [
+                { format: 'catbox-disk-snapshot', version: 1, created },
+                { key: { segment: 'pages', id: 'existing' }, stored: created, ttl: 60000, item: 'theirs' },
+                { key: { segment: 'pages', id: 'old' }, stored: created - 1000, ttl: 5000, item: 'old' }
+            ].map((line) => JSON.stringify(line)).join('\n');
+
+            expect(await disk.importSnapshot(source(snapshot))).to.equal({ imported: 0, existing: 1, expired: 1 });
+            expect((await disk.get({ segment: 'pages', id: 'existing' })).item).to.equal('mine');
+
+            expect(await disk.importSnapshot(source(snapshot), { overwrite: true, rebaseTtl: true })).to.equal({ imported: 2, existing: 0, expired: 0 });
+            expect((await disk.get({ segment: 'pages', id: 'existing' })).item).to.equal('theirs');
+
+            const old = await disk.get({ segment: 'pages', id: 'old' });
+            expect(old.item).to.equal('old');
+            expect(old.ttl).to.be.at.most(4000);
+            dir.removeCallback();
+        });
+
+        it('rejects a stream that is not a snapshot', async () => {
+
+            const { dir, disk } = await startDisk('snapshot');
+
+            for (const text of ['', '{"format":"tarball"}\n']) {
+                let error = null;
+                try {
+                    await disk.importSnapshot(source(text));
+                } catch (e) {
+                    error = e;
+                }
+
+                expect(error).to.be.instanceof(Error);
+                expect(error.message).to.equal('Not a catbox-disk snapshot');
+            }
+
+            dir.removeCallback();
+        });
+    });
+
+    describe('#validateSegmentName', () => {
+
+        it('errors when the name is empty', (done) => {
+
+            const disk = new Disk(options);
+            const result = disk.validateSegmentName('');
+
+            expect(result).to.be.instanceOf(Error);
+            expect(result.message).to.equal('Empty string');
+            done();
+        });
+
+
+        it('errors when the name has a null character', (done) => {
+
+            const disk = new Disk(options);
+            const result = disk.validateSegmentName('\0test');
+
+            expect(result).to.be.instanceOf(Error);
+            done();
+        });
+
+
+        it('returns null when there are no errors', (done) => {
+
+            const disk = new Disk(options);
+            const result = disk.validateSegmentName('valid');
+
+            expect(result).to.not.be.instanceOf(Error);
+            expect(result).to.equal(null);
+            done();
+        });
+
+        it('accepts the segment names hapi generates', (done) => {
+
+            const disk = new Disk(options);
+            for (const name of ['!plugin', '#method', '!@scope/plugin', 'pages/nested', 'a.b-c_d~1']) {
+                expect(disk.validateSegmentName(name)).to.equal(null);
+            }
+
+            done();
+        });
+
+        it('errors on names that could leave the cache directory', (done) => {
+
+            const disk = new Disk(options);
+            const names = [
+                '..', '../etc', 'a/../../etc', './a', 'a//b', 'a/', '/etc/passwd',
+                'C:\\Windows', '..\\..\\etc', 'a\\b', 'C:', 'a:b'
+            ];
+
+            for (const name of names) {
+                expect(disk.validateSegmentName(name), name).to.be.instanceOf(Error);
+            }
+
+            done();
+        });
+
+        it('errors on reserved and unportable names', (done) => {
+
+            const disk = new Disk(options);
+            for (const name of ['CON', 'nul.txt', 'a/Com1', 'lpt9', '_expiry', '_anything', 'trailing.', 'sp ace', 'a*b', 'x'.repeat(256), 42]) {
+                expect(disk.validateSegmentName(name), String(name)).to.be.instanceOf(Error);
+            }
+
+            done();
+        });
+
+        it('refuses to read or write keys with an unsafe segment', async () => {
+
+            const dir  = Tmp.dirSync({ prefix: 'catbox_disk_traversal_', unsafeCleanup: true });
+            const disk = new Disk({ cachePath: Path.join(dir.name, 'cache'), cleanEvery: 0 });
+            Fs.mkdirSync(Path.join(dir.name, 'cache'));
+            await disk.start();
+
+            for (const segment of ['..', '../outside', Path.join(dir.name, 'outside'), '..\\outside']) {
+                const key = { segment, id: 'x' };
+                for (const action of [() => disk.set(key, 'x', 5000), () => disk.get(key), () => disk.drop(key)]) {
+                    let error = null;
+                    try {
+                        await action();
+                    } catch (e) {
+                        error = e;
+                    }
+
+                    expect(error, segment).to.be.instanceof(Error);
+                }
+            }
+
+            expect(Fs.readdirSync(dir.name)).to.equal(['cache']);
+            dir.removeCallback();
+        });
+    });
+
+    describe('#serializer', () => {
+
+        it('throws an error with an unknown serializer', (done) => {
+
+            const fn = () => {
+
+                new Disk({ cachePath: tmpcachepath.name, serializer: 'yaml' });
+            };
+            expect(fn).to.throw(Error);
+            done();
+        });
+
+        it('stores a Buffer as raw bytes with the binary serializer', async () => {
+
+            const disk = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0, serializer: 'binary' });
+            await disk.start();
+
+            const key   = { segment: 'serializer', id: 'buffer' };
+            const value = Buffer.from([0, 1, 2, 253, 254, 255]);
+            await disk.set(key, value, 5000);
+
+            const result = await disk.get(key);
+            expect(Buffer.isBuffer(result.item)).to.equal(true);
+            expect(result.item.equals(value)).to.equal(true);
+            expect(result.ttl).to.be.above(0);
+
+            const data = await fs.readFile(disk.getStoragePathForKey(key));
+            expect(data.slice(0, 4).toString()).to.equal('CBDK');
+            expect(data.slice(-value.length).equals(value)).to.equal(true);
+        });
+
+        it('stores other values as JSON with the binary serializer', async () => {
+
+            const disk = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0, serializer: 'binary' });
+            await disk.start();
+
+            const key = { segment: 'serializer', id: 'object' };
+            await disk.set(key, { foo: 'bar' }, 5000);
+            expect((await disk.get(key)).item).to.equal({ foo: 'bar' });
+
+            await disk.set(key, undefined, 5000);
+            expect((await disk.get(key)).item).to.equal(null);
+        });
+
+        it('reads files written by either serializer', async () => {
+
+            const json   = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0 });
+            const binary = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0, serializer: 'binary' });
+            await json.start();
+            await binary.start();
+
+            const jsonKey   = { segment: 'serializer', id: 'from-json' };
+            const binaryKey = { segment: 'serializer', id: 'from-binary' };
+            await json.set(jsonKey, 'json', 5000);
+            await binary.set(binaryKey, 'binary', 5000);
+
+            expect((await binary.get(jsonKey)).item).to.equal('json');
+            expect((await json.get(binaryKey)).item).to.equal('binary');
+        });
+
+        it('treats a truncated binary file as corrupt', async () => {
+
+            const disk = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0, serializer: 'binary' });
+            await disk.start();
+
+            const key = { segment: 'serializer', id: 'truncated' };
+            const fp  = disk.getStoragePathForKey(key);
+            await disk.set(key, 'value', 5000);
+
+            const data = await fs.readFile(fp);
+            await fs.writeFile(fp, data.slice(0, 14));
+
+            expect(await disk.get(key)).to.not.exist();
+            expect(Fs.existsSync(fp)).to.equal(false);
+        });
+
+        it('uses a custom serializer', async () => {
+
+            const custom = {
+                detect: (data) => data.slice(0, 7).toString() === 'CUSTOM:',
+                serialize: (envelope) => 'CUSTOM:' + JSON.stringify(envelope),
+                deserialize: (data) => JSON.parse(data.slice(7).toString())
+            };
+
+            const disk = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0, serializer: custom });
+            await disk.start();
+
+            const key = { segment: 'serializer', id: 'custom' };
+            await disk.set(key, 'value', 5000);
+
+            expect((await fs.readFile(disk.getStoragePathForKey(key), 'utf8')).indexOf('CUSTOM:')).to.equal(0);
+            expect((await disk.get(key)).item).to.equal('value');
+        });
+    });
+
+    describe('#compression', () => {
+
+        it('throws an error with an unknown compression', (done) => {
+
+            const fn = () => {
+
+                new Disk({ cachePath: tmpcachepath.name, compression: 'lzma' });
+            };
+            expect(fn).to.throw(Error);
+            done();
+        });
+
+        ['gzip', 'deflate', 'brotli'].forEach((compression) => {
+
+            it(`compresses large items with ${compression}`, { skip: compression === 'brotli' && !Zlib.brotliCompress }, async () => {
+
+                const disk = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0, compression });
+                await disk.start();
+
+                const key   = { segment: 'compression', id: compression };
+                const value = { rows: new Array(500).fill('compressible') };
+                await disk.set(key, value, 5000);
+
+                const data = await fs.readFile(disk.getStoragePathForKey(key), 'utf8');
+                expect(JSON.parse(data).codec).to.equal(compression);
+                expect(data.length).to.be.below(JSON.stringify(value).length);
+                expect((await disk.get(key)).item).to.equal(value);
+            });
+        });
+
+        it('keeps the last set() of a key when an earlier one takes longer to compress', async () => {
+
+            const disk = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0, compression: 'gzip' });
+            await disk.start();
+
+            const key = { segment: 'compression', id: 'ordered' };
+            const big = Array.from({ length: 200000 }, (value, i) => `row ${i}`).join();
+            await Promise.all([disk.set(key, { v: 'first', big }, 5000), disk.set(key, { v: 'last' }, 5000)]);
+
+            const reader = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0 });
+            await reader.start();
+            expect((await reader.get(key)).item.v).to.equal('last');
+        });
+
+        it('leaves items below the threshold uncompressed', async () => {
+
+            const disk = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0, compression: 'gzip', compressionThreshold: 100 });
+            await disk.start();
+
+            const key = { segment: 'compression', id: 'small' };
+            await disk.set(key, 'tiny', 5000);
+
+            const data = JSON.parse(await fs.readFile(disk.getStoragePathForKey(key), 'utf8'));
+            expect(data.codec).to.not.exist();
+            expect(data.item).to.equal('tiny');
+            expect((await disk.get(key)).item).to.equal('tiny');
+        });
+
+        it('compresses Buffers with the binary serializer', async () => {
+
+            const disk = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0, serializer: 'binary', compression: 'gzip', compressionThreshold: 0 });
+            await disk.start();
+
+            const key   = { segment: 'compression', id: 'buffer' };
+            const value = Buffer.alloc(4096, 'a');
+            await disk.set(key, value, 5000);
+
+            expect((await fs.stat(disk.getStoragePathForKey(key))).size).to.be.below(value.length);
+
+            const result = await disk.get(key);
+            expect(Buffer.isBuffer(result.item)).to.equal(true);
+            expect(result.item.equals(value)).to.equal(true);
+        });
+
+        it('reads uncompressed files written before compression was enabled', async () => {
+
+            const plain      = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0 });
+            const compressed = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0, compression: 'gzip', compressionThreshold: 0 });
+            await plain.start();
+            await compressed.start();
+
+            const key = { segment: 'compression', id: 'legacy' };
+            await plain.set(key, 'legacy', 5000);
+            expect((await compressed.get(key)).item).to.equal('legacy');
+        });
+
+        it('treats a file with an unknown codec as corrupt', async () => {
+
+            const disk = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0 });
+            await disk.start();
+
+            const key      = { segment: 'compression', id: 'unknown' };
+            const fp       = disk.getStoragePathForKey(key);
+            await disk.set(key, 'value', 5000);
+
+            const envelope = JSON.parse(await fs.readFile(fp, 'utf8'));
+            envelope.codec = 'lzma';
+            envelope.item  = 'AAAA';
+            await fs.writeFile(fp, JSON.stringify(envelope));
+
+            expect(await disk.get(key)).to.not.exist();
+            expect(Fs.existsSync(fp)).to.equal(false);
+        });
+    });
+
+    describe('#checksum', () => {
+
+        it('throws an error with an unknown checksum or verify mode', (done) => {
+
+            expect(() => new Disk({ cachePath: tmpcachepath.name, checksum: 'md4' })).to.throw(Error);
+            expect(() => new Disk({ cachePath: tmpcachepath.name, verify: 'sometimes' })).to.throw(Error);
+            expect(() => new Disk({ cachePath: tmpcachepath.name, verifySampleRate: 2 })).to.throw(Error);
+            done();
+        });
+
+        const values = {
+            string: 'a value',
+            object: { a: [1, 2, { b: null }], c: 'd' },
+            buffer: Buffer.from('raw bytes'),
+            large: { rows: new Array(500).fill('compressible') }
+        };
+
+        [
+            { serializer: 'json', checksum: 'crc32' },
+            { serializer: 'binary', checksum: 'crc32' },
+            { serializer: 'json', checksum: 'sha256', compression: 'gzip' },
+            { serializer: 'binary', checksum: 'sha256', compression: 'gzip', compressionThreshold: 0 }
+        ].forEach((settings) => {
+
+            it(`verifies ${settings.checksum} checksums with the ${settings.serializer} serializer${settings.compression ? ' and compression' : ''}`, async () => {
+
+                const disk = new Disk(Object.assign({ cachePath: tmpcachepath.name, cleanEvery: 0, verify: 'always' }, settings));
+                await disk.start();
+
+                for (const id of Object.keys(values)) {
+                    const key = { segment: 'checksum', id };
+                    await disk.set(key, values[id], 5000);
+                    expect((await disk.get(key)).item).to.equal(id === 'buffer' && settings.serializer === 'json' ? values[id].toJSON() : values[id]);
+                }
+
+                expect(disk.stats().counters.corrupt).to.equal(0);
+            });
+        });
+
+        it('treats a checksum mismatch as corruption', async () => {
+
+            const disk = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0, verify: 'always' });
+            await disk.start();
+
+            const key = { segment: 'checksum', id: 'rotten' };
+            const fp  = disk.getStoragePathForKey(key);
+            await disk.set(key, 'correct', 5000);
+            await fs.writeFile(fp, (await fs.readFile(fp, 'utf8')).replace('correct', 'corrupt'));
+
+            const errors = [];
+            disk.on('corrupt', (event) => errors.push(event.error.message));
+
+            expect(await disk.get(key)).to.not.exist();
+            expect(errors).to.equal(['Checksum mismatch']);
+            expect(Fs.existsSync(fp)).to.equal(false);
+        });
+
+        it('only verifies when asked to', async () => {
+
+            const disk = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0, verify: 'sampled', verifySampleRate: 0 });
+            await disk.start();
+
+            const key = { segment: 'checksum', id: 'unverified' };
+            const fp  = disk.getStoragePathForKey(key);
+            await disk.set(key, 'correct', 5000);
+            await fs.writeFile(fp, (await fs.readFile(fp, 'utf8')).replace('correct', 'corrupt'));
+            expect((await disk.get(key)).item).to.equal('corrupt');
+
+            disk.settings.verifySampleRate = 1;
+            expect(await disk.get(key)).to.not.exist();
+        });
+
+        it('reads files stored without a checksum', async () => {
+
+            const disk = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0, checksum: false });
+            await disk.start();
+
+            const key = { segment: 'checksum', id: 'none' };
+            await disk.set(key, 'value', 5000);
+            expect(JSON.parse(await fs.readFile(disk.getStoragePathForKey(key), 'utf8')).checksum).to.not.exist();
+
+            disk.settings.verify = 'always';
+            expect((await disk.get(key)).item).to.equal('value');
+        });
+    });
+
+    describe('#layout', () => {
+
+        it('throws an error with an unknown hash or an impossible fanout', (done) => {
+
+            expect(() => new Disk({ cachePath: tmpcachepath.name, hash: 'crc32' })).to.throw(Error);
+            expect(() => new Disk({ cachePath: tmpcachepath.name, fanoutDepth: -1 })).to.throw(Error);
+            expect(() => new Disk({ cachePath: tmpcachepath.name, fanoutWidth: 0 })).to.throw(Error);
+            expect(() => new Disk({ cachePath: tmpcachepath.name, hash: 'fast', fanoutDepth: 5, fanoutWidth: 4 })).to.throw(Error);
+            done();
+        });
+
+        it('names files and directories after the configured hash and fanout', (done) => {
+
+            const layouts = [
+                { hash: 'md5', fanoutDepth: 2, fanoutWidth: 2, pattern: /\/segment\/([a-f0-9]{2})\/([a-f0-9]{2})\/\1\2[a-f0-9]{28}\.json$/ },
+                { hash: 'sha1', fanoutDepth: 1, fanoutWidth: 3, pattern: /\/segment\/([a-f0-9]{3})\/\1[a-f0-9]{37}\.json$/ },
+                { hash: 'sha256', fanoutDepth: 3, fanoutWidth: 1, pattern: /\/segment\/([a-f0-9])\/([a-f0-9])\/([a-f0-9])\/\1\2\3[a-f0-9]{61}\.json$/ },
+                { hash: 'fast', fanoutDepth: 0, fanoutWidth: 2, pattern: /\/segment\/[a-f0-9]{16}\.json$/ }
+            ];
+
+            for (const layout of layouts) {
+                const disk = new Disk(Object.assign({ cachePath: tmpcachepath.name }, layout));
+                const fp   = disk.getStoragePathForKey({ segment: 'segment', id: 'key' });
+                expect(fp, layout.hash).to.match(layout.pattern);
+                expect(disk.getStoragePathForKey({ segment: 'segment', id: 'other' })).to.not.equal(fp);
+            }
+
+            done();
+        });
+
+        it('stores, sweeps and lists entries with a custom layout', async () => {
+
+            const { dir, disk } = await startDisk('layout', { hash: 'fast', fanoutDepth: 3, fanoutWidth: 1 });
+
+            await disk.set({ segment: 'layout', id: 'live' }, 'live', 5000);
+            await disk.set({ segment: 'layout', id: 'old' }, 'old', 1);
+            await new Promise((resolve) => setTimeout(resolve, 10));
+
+            expect((await disk.get({ segment: 'layout', id: 'live' })).item).to.equal('live');
+            expect((await disk.segmentStats('layout')).entries).to.equal(2);
+
+            const summary = await disk.clean();
+            expect(summary.scanned).to.equal(2);
+            expect(summary.expired).to.equal(1);
+            expect(summary.directories).to.equal(3);
+
+            const ids = [];
+            const keys = disk.listKeys('layout');
+            for (let result = await keys.next(); !result.done; result = await keys.next()) {
+                ids.push(result.value);
+            }
+
+            expect(ids).to.equal(['live']);
+            dir.removeCallback();
+        });
+
+        it('writes a layout descriptor and refuses to start with different settings', async () => {
+
+            const { dir } = await startDisk('layout', { hash: 'sha1' });
+
+            const descriptor = JSON.parse(await fs.readFile(Path.join(dir.name, '_layout.json'), 'utf8'));
+            expect(descriptor).to.equal({ version: 1, hash: 'sha1', fanoutDepth: 2, fanoutWidth: 2 });
+
+            const same = new Disk({ cachePath: dir.name, cleanEvery: 0, hash: 'sha1' });
+            await same.start();
+            expect(same.isReady()).to.equal(true);
+
+            const other = new Disk({ cachePath: dir.name, cleanEvery: 0 });
+            let error = null;
+            try {
+                await other.start();
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).to.be.instanceof(Error);
+            expect(error.message).to.contain('hash is "sha1" on disk but "md5" in settings');
+            expect(other.isReady()).to.equal(false);
+            dir.removeCallback();
+        });
+
+        it('treats a cache without descriptor as the default layout', async () => {
+
+            const { dir, disk } = await startDisk('layout');
+            await disk.set({ segment: 'layout', id: 'a' }, 'a', 5000);
+            await fs.unlink(Path.join(dir.name, '_layout.json'));
+
+            const other = new Disk({ cachePath: dir.name, cleanEvery: 0, fanoutDepth: 1 });
+            let error = null;
+            try {
+                await other.start();
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).to.be.instanceof(Error);
+            expect(Fs.existsSync(Path.join(dir.name, '_layout.json'))).to.equal(false);
+
+            await disk.start();
+            expect(Fs.existsSync(Path.join(dir.name, '_layout.json'))).to.equal(true);
+            dir.removeCallback();
+        });
+
+        it('refuses to migrate a tree written with a different layout', async () => {
+
+            const { dir, disk: before } = await startDisk('layout', { hash: 'sha256' });
+            await before.set({ segment: 'layout', id: 'a' }, 'a', 5000);
+
+            const after = new Disk({ cachePath: dir.name, cleanEvery: 0, partition: 'cache' });
+            let error = null;
+            try {
+                await after.migrateToPartition();
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).to.be.instanceof(Error);
+            expect(Fs.existsSync(Path.join(dir.name, 'layout'))).to.equal(true);
+            dir.removeCallback();
+        });
+    });
+
+    describe('#partition', () => {
+
+        it('throws an error with an invalid partition name', (done) => {
+
+            const fn = () => {
+
+                new Disk({ cachePath: tmpcachepath.name, partition: 'a\0b' });
+            };
+            expect(fn).to.throw(Error);
+            done();
+        });
+
+        it('stores items under a partition directory', (done) => {
+
+            const disk = new Disk({ cachePath: tmpcachepath.name, partition: 'part' });
+            const fp   = disk.getStoragePathForKey({ segment: 'segment', id: 'key' });
+
+            expect(fp.indexOf(Path.join(tmpcachepath.name, 'part', 'segment') + Path.sep)).to.equal(0);
+            done();
+        });
+
+        it('keeps items of different partitions apart', async () => {
+
+            const one = new Disk({ cachePath: tmpcachepath.name, partition: 'one', cleanEvery: 0 });
+            const two = new Disk({ cachePath: tmpcachepath.name, partition: 'two', cleanEvery: 0 });
+            await one.start();
+            await two.start();
+
+            const key = { segment: 'shared', id: 'key' };
+            await one.set(key, 'one', 5000);
+            await two.set(key, 'two', 5000);
+
+            expect((await one.get(key)).item).to.equal('one');
+            expect((await two.get(key)).item).to.equal('two');
+        });
+
+        it('migrates an unpartitioned tree into a partition', async () => {
+
+            const { dir, disk: before } = await startDisk('partition');
+
+            const a = { segment: 'alpha', id: 'a' };
+            const b = { segment: 'beta', id: 'b' };
+            await before.set(a, 'a', 5000);
+            await before.set(b, 'b', 5000);
+
+            const after = new Disk({ cachePath: dir.name, partition: 'cache', cleanEvery: 0 });
+            await after.start();
+
+            // an item already in the partition is kept over the unpartitioned one
+            await after.set(a, 'newer', 5000);
+
+            const moved = await after.migrateToPartition();
+            expect(moved.sort()).to.equal(['alpha', 'beta']);
+            expect((await after.get(a)).item).to.equal('newer');
+            expect((await after.get(b)).item).to.equal('b');
+            expect(await before.get(b)).to.not.exist();
+            expect(Fs.readdirSync(dir.name)).to.equal(['cache']);
+            dir.removeCallback();
+        });
+
+        it('errors when migrating without a partition name', async () => {
+
+            const disk = new Disk({ cachePath: tmpcachepath.name });
+            try {
+                await disk.migrateToPartition();
+            } catch (e) {
+                expect(e).to.be.instanceof(Error);
+            }
+        });
+    });
+
+    describe('#evict', () => {
+
+        it('throws an error with a non-integer maxBytes', (done) => {
+
+            const fn = () => {
+
+                new Disk({ cachePath: tmpcachepath.name, maxBytes: 'lots' });
+            };
+            expect(fn).to.throw(Error);
+            done();
+        });
+
+        it('throws an error with an unknown evictionPolicy', (done) => {
+
+            const fn = () => {
+
+                new Disk({ cachePath: tmpcachepath.name, evictionPolicy: 'random' });
+            };
+            expect(fn).to.throw(Error);
+            done();
+        });
+
+        it('evicts the least recently used entry when maxEntries is exceeded', async () => {
+
+            const { dir, disk } = await startDisk('evict', { maxEntries: 2 });
+
+            const a = { segment: 'evict', id: 'a' };
+            const b = { segment: 'evict', id: 'b' };
+            const c = { segment: 'evict', id: 'c' };
+
+            await disk.set(a, 'a', 5000);
+            await disk.set(b, 'b', 5000);
+            await disk.get(a);
+            await disk.set(c, 'c', 5000);
+
+            expect(await disk.get(a)).to.exist();
+            expect(await disk.get(b)).to.not.exist();
+            expect(await disk.get(c)).to.exist();
+            dir.removeCallback();
+        });
+
+        it('waits for a set() of the victim key and evicts another entry once it is no longer the oldest', async () => {
+
+            const { dir, disk } = await startDisk('evict', { maxEntries: 2 });
+
+            const a = { segment: 'evict', id: 'a' };
+            const b = { segment: 'evict', id: 'b' };
+            const c = { segment: 'evict', id: 'c' };
+
+            await disk.set(a, 'a', 5000);
+            await disk.set(b, 'b', 5000);
+
+            // a, the least recently used, is being written when c's set() goes over budget
+            let setting = null;
+            await disk.exclusive(disk.getStoragePathForKey(a), async () => {
+
+                setting = disk.set(c, 'c', 5000);
+                await new Promise((resolve) => setTimeout(resolve, 20));
+                expect(Fs.existsSync(disk.getStoragePathForKey(a))).to.equal(true);
+                await disk.get(a);
+            });
+
+            await setting;
+            expect(await disk.get(a)).to.exist();
+            expect(await disk.get(b)).to.not.exist();
+            expect(await disk.get(c)).to.exist();
+            dir.removeCallback();
+        });
+
+        it('evicts the least frequently used entry with the lfu policy', async () => {
+
+            const { dir, disk } = await startDisk('evict', { maxEntries: 2, evictionPolicy: 'lfu' });
+
+            const a = { segment: 'evict', id: 'a' };
+            const b = { segment: 'evict', id: 'b' };
+            const c = { segment: 'evict', id: 'c' };
+
+            await disk.set(a, 'a', 5000);
+            await disk.set(b, 'b', 5000);
+            await disk.get(a);
+            await disk.get(a);
+            await disk.get(b);
+            await disk.set(c, 'c', 5000);
+
+            expect(await disk.get(a)).to.exist();
+            expect(await disk.get(b)).to.not.exist();
+            dir.removeCallback();
+        });
+
+        it('keeps total stored bytes under maxBytes', async () => {
+
+            const { dir, disk } = await startDisk('evict', { maxBytes: 1000 });
+
+            for (let i = 0; i < 10; ++i) {
+                await disk.set({ segment: 'evict', id: `key${i}` }, 'x'.repeat(200), 5000);
+            }
+
+            expect(disk.usage.bytes).to.be.at.most(1000);
+            expect(disk.usage.entries.size).to.be.below(10);
+            expect(await disk.get({ segment: 'evict', id: 'key9' })).to.exist();
+            expect(await disk.get({ segment: 'evict', id: 'key0' })).to.not.exist();
+            dir.removeCallback();
+        });
+
+        it('rebuilds the accounting from disk on start', async () => {
+
+            const { dir, disk: first } = await startDisk('evict');
+
+            await first.set({ segment: 'evict', id: 'a' }, 'a', 5000);
+            await first.set({ segment: 'evict', id: 'b' }, 'b', 5000);
+            await first.set({ segment: 'evict', id: 'c' }, 'c', 5000);
+
+            const second = new Disk({ cachePath: dir.name, cleanEvery: 0, maxEntries: 2 });
+            await second.start();
+
+            expect(second.usage.entries.size).to.equal(2);
+            second.stop();
+            dir.removeCallback();
+        });
+
+        it('keeps entries served from memory after a restart', async () => {
+
+            const { dir, disk } = await startDisk('evict', { maxEntries: 2, memory: { maxItems: 10 } });
+
+            const a = { segment: 'evict', id: 'a' };
+            const b = { segment: 'evict', id: 'b' };
+            await disk.set(a, 'a', 5000);
+            await disk.set(b, 'b', 5000);
+
+            const past = Date.now() / 1000 - 3600;
+            await fs.utimes(disk.getStoragePathForKey(a), past, past);
+            await fs.utimes(disk.getStoragePathForKey(b), past + 60, past + 60);
+
+            expect((await disk.get(a)).item).to.equal('a');
+            expect((await fs.stat(disk.getStoragePathForKey(a))).atime.getTime()).to.be.above(Date.now() - 60000);
+
+            // further hits leave the file alone until a minute has passed
+            await fs.utimes(disk.getStoragePathForKey(a), past, past);
+            await disk.get(a);
+            expect((await fs.stat(disk.getStoragePathForKey(a))).atime.getTime()).to.be.below(Date.now() - 60000);
+
+            disk.memory.entries.get(disk.getStoragePathForKey(a)).persisted -= 60000;
+            await disk.get(a);
+            expect((await fs.stat(disk.getStoragePathForKey(a))).atime.getTime()).to.be.above(Date.now() - 60000);
+
+            const restarted = new Disk({ cachePath: dir.name, cleanEvery: 0, maxEntries: 2 });
+            await restarted.start();
+            await restarted.set({ segment: 'evict', id: 'c' }, 'c', 5000);
+
+            expect(await restarted.get(a)).to.exist();
+            expect(await restarted.get(b)).to.not.exist();
+            dir.removeCallback();
+        });
+
+        it('stops accounting for dropped entries', async () => {
+
+            const { dir, disk } = await startDisk('evict', { maxEntries: 5 });
+
+            const key = { segment: 'evict', id: 'a' };
+            await disk.set(key, 'a', 5000);
+            expect(disk.usage.entries.size).to.equal(1);
+            await disk.drop(key);
+            expect(disk.usage.entries.size).to.equal(0);
+            expect(disk.usage.bytes).to.equal(0);
+            dir.removeCallback();
+        });
+    });
+
+    describe('#clean', () => {
+
+        const write = async (disk, key, value, ttl, stored) => {
+
+            await disk.set(key, value, ttl);
+            const fp       = disk.getStoragePathForKey(key);
+            const envelope = JSON.parse(await fs.readFile(fp, 'utf8'));
+            envelope.stored = stored;
+            await fs.writeFile(fp, JSON.stringify(envelope));
+            return fp;
+        };
+
+        it('keeps files a set() replaces while the cleaner looks at them', async () => {
+
+            const { dir, disk } = await startDisk('clean');
+
+            const keys = Array.from({ length: 20 }, (value, i) => ({ segment: 'clean', id: `racing${i}` }));
+            for (let round = 0; round < 5; ++round) {
+                for (const key of keys) {
+                    await write(disk, key, 'old', 1000, Date.now() - 5000);
+                }
+
+                // the cleaner has read every expiry by the time some of the sets land
+                const cleaning = disk.clean({ full: true });
+                await Promise.all(keys.map((key, i) => new Promise((resolve) => setTimeout(resolve, i % 4)).then(() => disk.set(key, round, 60000))));
+                await cleaning;
+
+                for (const key of keys) {
+                    expect((await disk.get(key)).item).to.equal(round);
+                }
+            }
+
+            dir.removeCallback();
+        });
+
+        it('leaves a file alone when it is no longer expired on a second look', async () => {
+
+            const { dir, disk } = await startDisk('clean');
+
+            const key = { segment: 'clean', id: 'replaced' };
+            const fp  = await write(disk, key, 'old', 1000, Date.now() - 5000);
+            await disk.set(key, 'new', 60000);
+
+            expect(await disk.dropExpired(fp)).to.equal(null);
+            expect((await disk.get(key)).item).to.equal('new');
+            dir.removeCallback();
+        });
+
+        it('removes expired files and empty hash directories and reports a summary', async () => {
+
+            const { dir, disk } = await startDisk('clean');
+
+            const expired = await write(disk, { segment: 'clean', id: 'expired' }, 'old', 1000, Date.now() - 5000);
+            const live    = await write(disk, { segment: 'clean', id: 'live' }, 'new', 60000, Date.now());
+            const size    = (await fs.stat(expired)).size;
+            await fs.writeFile(Path.join(dir.name, 'clean', 'other.txt'), 'ignored');
+
+            let emitted = null;
+            disk.on('cleanup', (summary) => {
+
+                emitted = summary;
+            });
+
+            const summary = await disk.clean();
+            expect(summary.scanned).to.equal(2);
+            expect(summary.expired).to.equal(1);
+            expect(summary.bytesFreed).to.equal(size);
+            expect(summary.directories).to.equal(2);
+            expect(summary.errors).to.equal(0);
+            expect(summary.duration).to.be.a.number();
+            expect(emitted).to.equal(summary);
+
+            expect(Fs.existsSync(expired)).to.equal(false);
+            expect(Fs.existsSync(Path.dirname(expired))).to.equal(false);
+            expect(Fs.existsSync(live)).to.equal(true);
+            expect(Fs.existsSync(Path.join(dir.name, 'clean', 'other.txt'))).to.equal(true);
+            dir.removeCallback();
+        });
+
+        it('falls back to the file mtime for files without a stored header', async () => {
+
+            const { dir, disk } = await startDisk('clean');
+
+            // files written by earlier versions have the item between ttl and stored
+            const key = { segment: 'clean', id: 'legacy' };
+            const fp  = disk.getStoragePathForKey(key);
+            await disk.set(key, 'value', 1000);
+            await fs.writeFile(fp, JSON.stringify({ key, ttl: 1000, item: { stored: Date.now() }, stored: Date.now() }));
+            Fs.utimesSync(fp, new Date(), new Date(Date.now() - 5000));
+
+            const summary = await disk.clean();
+            expect(summary.expired).to.equal(1);
+            expect(Fs.existsSync(fp)).to.equal(false);
+            dir.removeCallback();
+        });
+
+        it('reads the header of binary files', async () => {
+
+            const { dir, disk } = await startDisk('clean', { serializer: 'binary' });
+
+            await disk.set({ segment: 'clean', id: 'binary' }, Buffer.from('value'), 1);
+            await new Promise((resolve) => setTimeout(resolve, 10));
+
+            const summary = await disk.clean();
+            expect(summary.expired).to.equal(1);
+            dir.removeCallback();
+        });
+
+        it('leaves unreadable files alone', async () => {
+
+            const { dir, disk } = await startDisk('clean');
+
+            const key = { segment: 'clean', id: 'corrupt' };
+            const fp  = disk.getStoragePathForKey(key);
+            await disk.set(key, 'value', 1000);
+            await fs.writeFile(fp, '{"key":');
+
+            const summary = await disk.clean();
+            expect(summary.scanned).to.equal(1);
+            expect(summary.expired).to.equal(0);
+            expect(Fs.existsSync(fp)).to.equal(true);
+            dir.removeCallback();
+        });
+
+        it('shares a sweep already in progress', async () => {
+
+            const disk = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0 });
+            const first  = disk.clean();
+            const second = disk.clean();
+            expect(second).to.shallow.equal(first);
+            await first;
+        });
+
+        it('runs the sweep on the cleanEvery schedule', { timeout: 8000 }, async () => {
+
+            const { dir, disk } = await startDisk('clean', { cleanEvery: 100 });
+
+            const summaries = [];
+            disk.on('cleanup', (summary) => summaries.push(summary));
+            await new Promise((resolve) => setTimeout(resolve, 3500));
+            disk.stop();
+
+            expect(summaries.length).to.be.above(1);
+            dir.removeCallback();
+        });
+    });
+
+    describe('#expiryIndex', () => {
+
+        const bucketOf = (time) => `${Math.floor(time / 60000)}.log`;
+
+        it('appends every set() to the bucket of its expiry minute', async () => {
+
+            const { dir, disk } = await startDisk('index', { expiryIndex: true });
+
+            const key = { segment: 'index', id: 'a' };
+            await disk.set(key, 'a', 120000);
+
+            const expires = JSON.parse(await fs.readFile(disk.getStoragePathForKey(key), 'utf8')).stored + 120000;
+            const lines   = await fs.readFile(Path.join(dir.name, '_expiry', bucketOf(expires)), 'utf8');
+            expect(lines).to.equal(Path.relative(dir.name, disk.getStoragePathForKey(key)) + '\n');
+            dir.removeCallback();
+        });
+
+        it('rebuilds a missing index with a full sweep, then sweeps only passed buckets', async () => {
+
+            const { dir, disk } = await startDisk('index');
+
+            const key = { segment: 'index', id: 'a' };
+            await disk.set(key, 'a', 60000);
+
+            const indexed = new Disk({ cachePath: dir.name, cleanEvery: 0, expiryIndex: true });
+            await indexed.start();
+
+            const first = await indexed.clean();
+            expect(first.scanned).to.equal(1);
+            expect(first.buckets).to.equal(0);
+            expect(Fs.existsSync(Path.join(dir.name, '_expiry', 'complete'))).to.equal(true);
+
+            // move the bucket into the past and make the file look expired
+            const fp       = disk.getStoragePathForKey(key);
+            const envelope = JSON.parse(await fs.readFile(fp, 'utf8'));
+            const bucket   = Fs.readdirSync(Path.join(dir.name, '_expiry')).filter((name) => name !== 'complete')[0];
+            envelope.stored -= 600000;
+            await fs.writeFile(fp, JSON.stringify(envelope));
+            Fs.renameSync(Path.join(dir.name, '_expiry', bucket), Path.join(dir.name, '_expiry', bucketOf(Date.now() - 600000)));
+
+            const second = await indexed.clean();
+            expect(second.buckets).to.equal(1);
+            expect(second.scanned).to.equal(1);
+            expect(second.expired).to.equal(1);
+            expect(second.directories).to.equal(2);
+            expect(Fs.existsSync(fp)).to.equal(false);
+            expect(Fs.readdirSync(Path.join(dir.name, '_expiry'))).to.equal(['complete']);
+            dir.removeCallback();
+        });
+
+        it('walks the whole tree again every fullSweepEvery', async () => {
+
+            const { dir, disk } = await startDisk('index', { expiryIndex: true, fullSweepEvery: 3600000 });
+            await disk.clean();
+
+            const marker = Path.join(dir.name, '_expiry', 'complete');
+            const stale  = Path.join(dir.name, '0123456789abcdef0123456789abcdef.json.1.aaaa.tmp');
+            await fs.writeFile(stale, '{}');
+            Fs.utimesSync(stale, new Date(0), new Date(0));
+
+            expect((await disk.clean()).tempFiles).to.equal(0);
+            expect(Fs.existsSync(stale)).to.equal(true);
+
+            Fs.utimesSync(marker, new Date(0), new Date(Date.now() - 3600000));
+            expect((await disk.clean()).tempFiles).to.equal(1);
+            expect(Fs.existsSync(stale)).to.equal(false);
+            expect(Date.now() - Fs.statSync(marker).mtime.getTime()).to.be.below(60000);
+            dir.removeCallback();
+        });
+
+        it('throws an error with an invalid fullSweepEvery', (done) => {
+
+            expect(() => new Disk({ cachePath: tmpcachepath.name, fullSweepEvery: -1 })).to.throw(Error, 'fullSweepEvery is not a non-negative integer');
+            done();
+        });
+
+        it('skips dropped, rewritten and tampered entries', async () => {
+
+            const { dir, disk } = await startDisk('index', { expiryIndex: true });
+            await disk.clean();
+
+            const dropped   = { segment: 'index', id: 'dropped' };
+            const rewritten = { segment: 'index', id: 'rewritten' };
+            await disk.set(dropped, 'x', 60000);
+            await disk.set(rewritten, 'x', 60000);
+            await disk.drop(dropped);
+
+            const outside = Path.join(dir.name, '..', '0123456789abcdef0123456789abcdef.json');
+            const lines   = [
+                Path.relative(dir.name, disk.getStoragePathForKey(dropped)),
+                Path.relative(dir.name, disk.getStoragePathForKey(rewritten)),
+                Path.relative(dir.name, outside),
+                ''
+            ];
+            await fs.writeFile(Path.join(dir.name, '_expiry', bucketOf(Date.now() - 600000)), lines.join('\n'));
+
+            const summary = await disk.clean();
+            expect(summary.buckets).to.equal(1);
+            expect(summary.scanned).to.equal(1);
+            expect(summary.expired).to.equal(0);
+            expect((await disk.get(rewritten)).item).to.equal('x');
+            dir.removeCallback();
+        });
+
+        it('walks the whole tree when asked for a full sweep', async () => {
+
+            const { dir, disk } = await startDisk('index', { expiryIndex: true });
+            await disk.clean();
+
+            await disk.set({ segment: 'index', id: 'a' }, 'a', 60000);
+            expect((await disk.clean()).scanned).to.equal(0);
+            expect((await disk.clean({ full: true })).scanned).to.equal(1);
+            dir.removeCallback();
+        });
+    });
+
+    describe('#stats', () => {
+
+        it('emits events and counts hits, misses, sets and drops', async () => {
+
+            const { dir, disk } = await startDisk('stats', { memory: { maxItems: 10 } });
+            const events        = [];
+            for (const name of ['hit', 'miss', 'expired', 'corrupt', 'set', 'drop']) {
+                disk.on(name, (event) => events.push(Object.assign({ name }, event)));
+            }
+
+            const key = { segment: 'test', id: 'stats' };
+
+            await disk.set(key, 'value', 5000);
+            await disk.get(key);
+            disk.memory.delete(disk.getStoragePathForKey(key));
+            await disk.get(key);
+            await disk.drop(key);
+            await disk.get(key);
+
+            await disk.set(key, 'value', 1);
+            disk.memory.delete(disk.getStoragePathForKey(key));
+            await new Promise((resolve) => setTimeout(resolve, 10));
+            await disk.get(key);
+
+            Fs.writeFileSync(disk.getStoragePathForKey(key), '{not json');
+            await disk.get(key);
+
+            expect(events.map((event) => event.name + (event.source ? ':' + event.source : ''))).to.equal(['set', 'hit:memory', 'hit:disk', 'drop', 'miss', 'set', 'expired', 'miss', 'corrupt', 'miss']);
+            expect(events[0].bytes).to.be.above(0);
+            expect(events[2].bytes).to.equal(events[0].bytes);
+            expect(events[2].duration).to.be.at.least(0);
+
+            const stats = disk.stats();
+            expect(stats.counters).to.include({ hits: 2, memoryHits: 1, misses: 3, expired: 1, corrupt: 1, sets: 2, drops: 1, evictions: 0 });
+            expect(stats.counters.bytesRead).to.be.above(0);
+            expect(stats.histograms.getDuration.count).to.equal(5);
+            expect(stats.histograms.itemBytes.buckets[0]).to.equal({ le: 256, count: 2 });
+            expect(stats.gauges).to.equal({ memoryItems: 0, memoryBytes: 0, diskEntries: null, diskBytes: null });
+            dir.removeCallback();
+        });
+
+        it('counts evictions and cleanups', async () => {
+
+            const { dir, disk } = await startDisk('stats', { maxEntries: 1 });
+            const evicted       = [];
+            disk.on('evict', (event) => evicted.push(event));
+
+            await disk.set({ segment: 'test', id: 'a' }, 'a', 1);
+            await disk.set({ segment: 'test', id: 'b' }, 'b', 1);
+            expect(evicted.length).to.equal(1);
+            expect(evicted[0].filepath).to.equal(disk.getStoragePathForKey({ segment: 'test', id: 'a' }));
+
+            await new Promise((resolve) => setTimeout(resolve, 10));
+            await disk.clean();
+
+            const stats = disk.stats();
+            expect(stats.counters).to.include({ evictions: 1, cleanups: 1 });
+            expect(stats.counters.bytesEvicted).to.equal(evicted[0].bytes);
+            expect(stats.counters.bytesCleaned).to.be.above(0);
+            expect(stats.histograms.cleanupDuration.count).to.equal(1);
+            expect(stats.gauges).to.include({ diskEntries: 0, diskBytes: 0 });
+            dir.removeCallback();
+        });
+
+        it('renders stats in the Prometheus text format', async () => {
+
+            const disk = new Disk({ cachePath: tmpcachepath.name, cleanEvery: 0 });
+            await disk.start();
+            await disk.set({ segment: 'test', id: 'prometheus' }, 'value', 5000);
+
+            const text = disk.prometheus();
+            expect(text).to.contain('# TYPE catbox_disk_sets_total counter\ncatbox_disk_sets_total 1\n');
+            expect(text).to.contain('# TYPE catbox_disk_set_duration histogram\n');
+            expect(text).to.contain('catbox_disk_item_bytes_bucket{le="256"} 1\n');
+            expect(text).to.contain('catbox_disk_item_bytes_bucket{le="+Inf"} 1\ncatbox_disk_item_bytes_sum ');
+            expect(text).to.not.contain('memory_items');
+            expect(disk.prometheus('app_cache')).to.contain('app_cache_hits_total 0\n');
+        });
+    });
+
+    describe('#stream', () => {
+
+        const read = (stream) => {
+
+            return new Promise((resolve, reject) => {
+
+                const chunks = [];
+                stream.on('data', (chunk) => chunks.push(chunk));
+                stream.once('error', reject);
+                stream.once('end', () => resolve(Buffer.concat(chunks)));
+            });
+        };
+
+        const source = (chunks) => {
+
+            const stream = new Stream.PassThrough();
+            for (const chunk of chunks) {
+                stream.write(chunk);
+            }
+
+            stream.end();
+            return stream;
+        };
+
+        it('stores the payload next to a small header and streams it back', async () => {
+
+            const { dir, disk } = await startDisk('stream');
+            const key     = { segment: 'reports', id: 'big' };
+            const payload = Buffer.alloc(200000, 'x');
+
+            await disk.setStream(key, source([payload.slice(0, 65536), payload.slice(65536)]), 5000);
+
+            const filepath = disk.getStoragePathForKey(key);
+            expect((await fs.stat(filepath)).size).to.be.below(500);
+            expect((await fs.stat(filepath.replace(/\.json$/, '.data'))).size).to.equal(payload.length);
+
+            const result = await disk.getStream(key);
+            expect(result).to.include({ key, ttl: result.ttl, size: payload.length });
+            expect(result.ttl).to.be.at.most(5000);
+            expect((await read(result.stream)).equals(payload)).to.equal(true);
+
+            expect((await disk.get(key)).item.equals(payload)).to.equal(true);
+            dir.removeCallback();
+        });
+
+        it('streams items stored with set() and misses unknown keys', async () => {
+
+            const { dir, disk } = await startDisk('stream', { serializer: 'binary' });
+            await disk.set({ segment: 'reports', id: 'json' }, { a: 1 }, 5000);
+            await disk.set({ segment: 'reports', id: 'buffer' }, Buffer.from('bytes'), 5000);
+
+            expect((await read((await disk.getStream({ segment: 'reports', id: 'json' })).stream)).toString()).to.equal('{"a":1}');
+            expect((await read((await disk.getStream({ segment: 'reports', id: 'buffer' })).stream)).toString()).to.equal('bytes');
+            expect(await disk.getStream({ segment: 'reports', id: 'missing' })).to.equal(null);
+            dir.removeCallback();
+        });
+
+        it('removes the data file when the key is overwritten or dropped', async () => {
+
+            const { dir, disk } = await startDisk('stream');
+            const key      = { segment: 'reports', id: 'big' };
+            const datapath = disk.getStoragePathForKey(key).replace(/\.json$/, '.data');
+
+            await disk.setStream(key, source(['streamed']), 5000);
+            await disk.set(key, 'small', 5000);
+            expect(await fs.exists(datapath)).to.equal(false);
+            expect((await disk.get(key)).item).to.equal('small');
+
+            await disk.setStream(key, source(['streamed']), 5000);
+            expect((await disk.get(key)).item.toString()).to.equal('streamed');
+            await disk.drop(key);
+            expect(await fs.exists(datapath)).to.equal(false);
+            expect(await disk.getStream(key)).to.equal(null);
+            dir.removeCallback();
+        });
+
+        it('rejects when the source fails and leaves nothing behind', async () => {
+
+            const { dir, disk } = await startDisk('stream');
+            const key    = { segment: 'reports', id: 'failed' };
+            let reads    = 0;
+            const stream = new Stream.Readable({
+                read () {
+
+                    if (reads++ === 0) {
+                        return this.push('partial');
+                    }
+
+                    process.nextTick(() => this.emit('error', new Error('source failed')));
+                }
+            });
+
+            try {
+                await disk.setStream(key, stream, 5000);
+                throw new Error('should have failed');
+            } catch (e) {
+                expect(e.message).to.equal('source failed');
+            }
+
+            expect(Fs.readdirSync(Path.dirname(disk.getStoragePathForKey(key)))).to.equal([]);
+            expect(await disk.get(key)).to.equal(null);
+            dir.removeCallback();
+        });
+
+        it('leaves streamed entries out of a startup preload', async () => {
+
+            const { dir, disk } = await startDisk('stream');
+            await disk.setStream({ segment: 'reports', id: 'big' }, source(['streamed']), 5000);
+            await disk.set({ segment: 'reports', id: 'small' }, 'small', 5000);
+
+            const restarted = new Disk({ cachePath: dir.name, cleanEvery: 0, memory: { maxItems: 10 }, startupScan: { preload: 10 } });
+            await restarted.start();
+            expect(restarted.memory.entries.size).to.equal(1);
+            expect((await restarted.get({ segment: 'reports', id: 'big' })).item.toString()).to.equal('streamed');
+            expect((await restarted.get({ segment: 'reports', id: 'small' })).item).to.equal('small');
+            dir.removeCallback();
+        });
+
+        it('counts the data file against maxBytes', async () => {
+
+            const { dir, disk } = await startDisk('stream', { maxBytes: 100000 });
+            await disk.setStream({ segment: 'reports', id: 'a' }, source([Buffer.alloc(60000)]), 5000);
+            await disk.setStream({ segment: 'reports', id: 'b' }, source([Buffer.alloc(60000)]), 5000);
+
+            expect(await disk.getStream({ segment: 'reports', id: 'a' })).to.equal(null);
+            expect((await disk.getStream({ segment: 'reports', id: 'b' })).size).to.equal(60000);
+            expect(await fs.exists(disk.getStoragePathForKey({ segment: 'reports', id: 'a' }).replace(/\.json$/, '.data'))).to.equal(false);
+            dir.removeCallback();
+        });
+
+        it('cleans up data files whose header is gone', async () => {
+
+            const { dir, disk } = await startDisk('stream');
+            const key      = { segment: 'reports', id: 'orphan' };
+            const filepath = disk.getStoragePathForKey(key);
+            const datapath = filepath.replace(/\.json$/, '.data');
+
+            await disk.setStream(key, source(['orphaned']), 5000);
+            await fs.unlink(filepath);
+            await fs.utimes(datapath, new Date(0), new Date(0));
+
+            const summary = await disk.clean({ full: true });
+            expect(summary.tempFiles).to.equal(1);
+            expect(await fs.exists(datapath)).to.equal(false);
+            dir.removeCallback();
+        });
+    });
+
+    describe('#staleGrace', () => {
+
+        const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+        it('throws an error with an invalid staleGrace', (done) => {
+
+            expect(() => new Disk({ cachePath: tmpcachepath.name, staleGrace: -1 })).to.throw(Error, 'staleGrace is not a non-negative integer');
+            expect(() => new Disk({ cachePath: tmpcachepath.name, staleGrace: 'soon' })).to.throw(Error, 'staleGrace is not a non-negative integer');
+            done();
+        });
+
+        it('keeps expired entries within the grace period for getStale()', async () => {
+
+            const { dir, disk } = await startDisk('stale', { staleGrace: 60000, memory: { maxItems: 10 } });
+            const key = { segment: 'pages', id: 'stale' };
+            await disk.set(key, 'old', 1);
+            await disk.set({ segment: 'pages', id: 'fresh' }, 'new', 60000);
+            await wait(10);
+
+            expect(await disk.get(key)).to.equal(null);
+            expect(await fs.exists(disk.getStoragePathForKey(key))).to.equal(true);
+
+            const stale = await disk.getStale(key);
+            expect(stale).to.include({ key, item: 'old', ttl: 0, isStale: true });
+
+            const fresh = await disk.getStale({ segment: 'pages', id: 'fresh' });
+            expect(fresh).to.include({ item: 'new', isStale: false });
+            expect(fresh.ttl).to.be.above(0);
+            expect((await disk.get({ segment: 'pages', id: 'fresh' })).isStale).to.equal(undefined);
+            dir.removeCallback();
+        });
+
+        it('removes entries once the grace period has passed', async () => {
+
+            const { dir, disk } = await startDisk('stale', { staleGrace: 20 });
+            const key = { segment: 'pages', id: 'gone' };
+            await disk.set(key, 'old', 1);
+            await wait(40);
+
+            expect(await disk.getStale(key)).to.equal(null);
+            expect(await fs.exists(disk.getStoragePathForKey(key))).to.equal(false);
+            dir.removeCallback();
+        });
+
+        it('has the cleaner keep entries until their grace period has passed', async () => {
+
+            const { dir, disk } = await startDisk('stale', { staleGrace: 60000, expiryIndex: true });
+            const key = { segment: 'pages', id: 'kept' };
+            await disk.set(key, 'old', 1);
+            await wait(10);
+
+            expect((await disk.clean({ full: true })).expired).to.equal(0);
+            expect((await disk.getStale(key)).item).to.equal('old');
+
+            const impatient = new Disk({ cachePath: dir.name, cleanEvery: 0 });
+            await impatient.start();
+            expect((await impatient.clean({ full: true })).expired).to.equal(1);
+            expect(await disk.getStale(key)).to.equal(null);
+            dir.removeCallback();
+        });
+    });
+
+    describe('#tags', () => {
+
+        const markers = (disk, tag) => {
+
+            try {
+                return Fs.readdirSync(disk.tagIndexPath(tag)).length;
+            } catch (e) {
+                return 0;
+            }
+        };
+
+        it('rejects invalid tags', async () => {
+
+            const { dir, disk } = await startDisk('tags');
+            for (const tags of ['product:1', [''], [1]]) {
+                try {
+                    await disk.set({ segment: 'pages', id: 'a' }, 'a', 5000, { tags });
+                    throw new Error('should have failed');
+                } catch (e) {
+                    expect(e.message).to.equal('tags must be an array of non-empty strings');
+                }
+            }
+
+            try {
+                await disk.dropByTag('');
+                throw new Error('should have failed');
+            } catch (e) {
+                expect(e.message).to.equal('tags must be an array of non-empty strings');
+            }
+
+            dir.removeCallback();
+        });
+
+        it('drops every entry set with a tag, across segments and serializers', async () => {
+
+            const { dir, disk } = await startDisk('tags', { serializer: 'binary', memory: { maxItems: 10 } });
+            await disk.set({ segment: 'pages', id: 'a' }, 'a', 5000, { tags: ['product:1', 'product:2'] });
+            await disk.set({ segment: 'fragments', id: 'b' }, 'b', 5000, { tags: ['product:1'] });
+            await disk.set({ segment: 'pages', id: 'c' }, 'c', 5000, { tags: ['product:2'] });
+            await disk.set({ segment: 'pages', id: 'd' }, 'd', 5000);
+
+            const json   = new Disk({ cachePath: dir.name, cleanEvery: 0 });
+            const source = new Stream.PassThrough();
+            source.end('e');
+            await json.start();
+            await json.setStream({ segment: 'exports', id: 'e' }, source, 5000, { tags: ['product:1'] });
+
+            expect(await disk.dropByTag('product:1')).to.equal(3);
+            expect(await disk.get({ segment: 'pages', id: 'a' })).to.equal(null);
+            expect(await disk.get({ segment: 'fragments', id: 'b' })).to.equal(null);
+            expect(await disk.get({ segment: 'exports', id: 'e' })).to.equal(null);
+            expect((await disk.get({ segment: 'pages', id: 'c' })).item).to.equal('c');
+            expect((await disk.get({ segment: 'pages', id: 'd' })).item).to.equal('d');
+
+            expect(markers(disk, 'product:1')).to.equal(0);
+            expect(markers(disk, 'product:2')).to.equal(1);
+            expect(await disk.dropByTag('product:1')).to.equal(0);
+            dir.removeCallback();
+        });
+
+        it('keeps the index in step with drops, retagging and expiry', async () => {
+
+            const { dir, disk } = await startDisk('tags');
+            await disk.set({ segment: 'pages', id: 'dropped' }, 'a', 5000, { tags: ['t'] });
+            await disk.set({ segment: 'pages', id: 'retagged' }, 'b', 5000, { tags: ['t'] });
+            await disk.set({ segment: 'pages', id: 'expired' }, 'c', 1, { tags: ['t'] });
+            expect(markers(disk, 't')).to.equal(3);
+
+            await disk.drop({ segment: 'pages', id: 'dropped' });
+            await disk.set({ segment: 'pages', id: 'retagged' }, 'b', 5000, { tags: ['other'] });
+            await new Promise((resolve) => setTimeout(resolve, 10));
+            expect((await disk.clean({ full: true })).expired).to.equal(1);
+
+            expect(markers(disk, 't')).to.equal(0);
+            expect(markers(disk, 'other')).to.equal(1);
+            expect(await disk.dropByTag('t')).to.equal(0);
+            expect((await disk.get({ segment: 'pages', id: 'retagged' })).item).to.equal('b');
+            dir.removeCallback();
+        });
+
+        it('reads tags that run past the head of a json file', async () => {
+
+            const { dir, disk } = await startDisk('tags');
+            const tags = Array.from({ length: 200 }, (value, i) => `a-rather-long-tag-number-${i}`);
+            await disk.set({ segment: 'pages', id: 'a' }, 'a', 5000, { tags });
+
+            expect(await disk.dropByTag('a-rather-long-tag-number-199')).to.equal(1);
+            expect(markers(disk, 'a-rather-long-tag-number-0')).to.equal(0);
+            dir.removeCallback();
+        });
+
+        it('has the cleaner remove markers of files removed behind its back', async () => {
+
+            const { dir, disk } = await startDisk('tags');
+            await disk.set({ segment: 'pages', id: 'a' }, 'a', 5000, { tags: ['t'] });
+            await disk.set({ segment: 'pages', id: 'b' }, 'b', 5000, { tags: ['t'] });
+            await fs.unlink(disk.getStoragePathForKey({ segment: 'pages', id: 'a' }));
+
+            expect((await disk.clean({ dryRun: true })).tags).to.equal(1);
+            expect(markers(disk, 't')).to.equal(2);
+            expect((await disk.clean({ full: true })).tags).to.equal(1);
+            expect(markers(disk, 't')).to.equal(1);
+            dir.removeCallback();
+        });
+
+        it('carries tags through snapshots', async () => {
+
+            const from   = await startDisk('tags');
+            const stream = new Stream.PassThrough();
+            await from.disk.set({ segment: 'pages', id: 'a' }, 'a', 5000, { tags: ['t'] });
+            await from.disk.exportSnapshot(stream);
+            stream.end();
+
+            const to = await startDisk('tags');
+            await to.disk.importSnapshot(stream);
+            expect(await to.disk.dropByTag('t')).to.equal(1);
+            from.dir.removeCallback();
+            to.dir.removeCallback();
+        });
+    });
+
+    describe('#cli', () => {
+
+        const run = async (argv, env) => {
+
+            const output = { stdout: '', stderr: '' };
+            const stream = (name) => ({ write: (text) => {
+
+                output[name] += text;
+            } });
+
+            output.code = await Cli.run(argv, { stdout: stream('stdout'), stderr: stream('stderr'), env: env || {} });
+            return output;
+        };
+
+        const setup = async () => {
+
+            const { dir, disk } = await startDisk('cli', { partition: 'catbox', hash: 'sha1', fanoutDepth: 1 });
+
+            await disk.set({ segment: 'pages', id: 'a' }, { title: 'a' }, 60000);
+            await disk.set({ segment: 'pages', id: 'old' }, 'old', 1);
+            await disk.set({ segment: 'other', id: 'b' }, 'b', 60000);
+            await disk.set({ segment: 'other', id: 'broken' }, 'broken', 60000);
+            await fs.writeFile(disk.getStoragePathForKey({ segment: 'other', id: 'broken' }), '{"key":');
+            await new Promise((resolve) => setTimeout(resolve, 10));
+            return { dir, disk, args: ['--path', dir.name, '--partition', 'catbox'] };
+        };
+
+        it('prints usage on bad arguments', async () => {
+
+            expect((await run(['get', 'pages'], { CATBOX_DISK_PATH: tmpcachepath.name })).code).to.equal(2);
+            expect((await run(['ls', 'pages'])).code).to.equal(2);
+            expect((await run(['ls', 'pages', '--path', tmpcachepath.name, '--verbose'])).stderr).to.contain('Unknown option --verbose');
+
+            const help = await run(['--help']);
+            expect(help.code).to.equal(0);
+            expect(help.stdout).to.contain('Usage: catbox-disk');
+        });
+
+        it('gets, lists and drops entries using the cache\'s own layout', async () => {
+
+            const { dir, disk, args } = await setup();
+
+            const found = await run(['get', 'pages', 'a'].concat(args));
+            expect(found.code).to.equal(0);
+            expect(JSON.parse(found.stdout)).to.include({ key: { segment: 'pages', id: 'a' }, item: { title: 'a' }, file: disk.getStoragePathForKey({ segment: 'pages', id: 'a' }) });
+
+            expect(await run(['ls', 'pages'].concat(args))).to.equal({ stdout: 'a\n', stderr: '', code: 0 });
+            expect((await run(['drop', 'pages', 'a'].concat(args))).code).to.equal(0);
+
+            const missing = await run(['get', 'pages', 'a'].concat(args));
+            expect(missing.code).to.equal(1);
+            expect(missing.stderr).to.equal('Not found: pages a\n');
+            dir.removeCallback();
+        });
+
+        it('summarizes and verifies the cache', async () => {
+
+            const { dir, args } = await setup();
+
+            const stats = JSON.parse((await run(['stats'].concat(args))).stdout);
+            expect(stats).to.include({ entries: 3, expired: 1, corrupt: 1 });
+            expect(stats.segments.pages).to.include({ entries: 2, expired: 1 });
+            expect(JSON.parse((await run(['stats', 'other'].concat(args))).stdout).entries).to.equal(2);
+
+            const verify = await run(['verify'].concat(args));
+            expect(verify.code).to.equal(1);
+            expect(verify.stdout).to.match(/^expired .+ \(pages old, /m);
+            expect(verify.stdout).to.match(/^corrupt .+: /m);
+            expect(verify.stdout).to.contain('4 files: 2 valid, 1 expired, 1 corrupt');
+            dir.removeCallback();
+        });
+
+        it('cleans, or reports what cleaning would remove, and purges segments', async () => {
+
+            const { dir, disk, args } = await setup();
+            const expired = disk.getStoragePathForKey({ segment: 'pages', id: 'old' });
+
+            const dryRun = JSON.parse((await run(['clean', '--dry-run'].concat(args))).stdout);
+            expect(dryRun).to.include({ expired: 1, dryRun: true });
+            expect(Fs.existsSync(expired)).to.equal(true);
+
+            expect(JSON.parse((await run(['clean'].concat(args))).stdout)).to.include({ expired: 1, dryRun: false });
+            expect(Fs.existsSync(expired)).to.equal(false);
+
+            expect((await run(['purge', 'pages'].concat(args))).stdout).to.equal('Removed 1 entries\n');
+            expect((await run(['ls', 'pages'].concat(args))).stdout).to.equal('');
+            dir.removeCallback();
         });
     });
 